@@ -2,10 +2,60 @@
 // 原始来源: prompt-entry-grouping/lib/entry-grouping-ui.js
 // 包含所有关键的防抖、事件拦截、避免循环触发的逻辑
 
-import { debounce, getJQuery, getSillyTavernContext, ensureViewportCssVars } from './utils.js';
-import { getAllPresetGroupings, addPresetGrouping, updatePresetGrouping, removePresetGrouping, getLoadedPresetName } from './prompt-entry-grouping.js';
+import {
+    debounce,
+    getCurrentApiInfo,
+    getJQuery,
+    getSillyTavernContext,
+    ensureViewportCssVars,
+    escapeHtml,
+    downloadJsonFile,
+    pickJsonFile,
+    parseBindingList,
+    getActiveChatBindingInfo,
+    matchesBindings,
+    describeBindings,
+} from './utils.js';
+import {
+    getAllPresetGroupings,
+    addPresetGrouping,
+    updatePresetGrouping,
+    removePresetGrouping,
+    getLoadedPresetName,
+    resolveGroupingRanges,
+    findRangeConflict,
+    sortRangesForNesting,
+    exportPresetGroupings,
+    validateGroupingsExport,
+    planGroupingsImport,
+    addPresetGroupings,
+    planGroupingsCopy,
+    setPresetGroupingMode,
+    setPresetGroupingBudget,
+    confirmGroupingMembership,
+    backfillGroupingMembers,
+    getPresetProfiles,
+    savePresetProfile,
+    removePresetProfile,
+    setPresetGroupingBindings,
+    snapshotPresetGroupings,
+    restorePresetGroupings,
+    EXCLUSIVE_MODE,
+} from './prompt-entry-grouping.js';
 import { CommonStyles } from './common-styles.js';
-import { addToggleAllButtonToGroupHeader, toggleAllEntriesInGroup } from './toggle-button.js';
+import {
+    addToggleAllButtonToGroupHeader,
+    toggleAllEntriesInGroup,
+    enforceExclusiveSelection,
+    applyEntryStates,
+} from './toggle-button.js';
+import {
+    createUndoHistory,
+    updateUndoButtons,
+    showUndoToast,
+    bindUndoShortcuts,
+    unbindUndoShortcuts,
+} from './undo-history.js';
 
 // ==================== 状态变量 ====================
 
@@ -47,8 +97,28 @@ let zeroResolvedRetryCount = 0;
 // 分组展开状态
 const groupExpandStates = new Map();
 
+// 已补充过成员列表的预设
+const membersBackfilledPresets = new Set();
+
+// openai.js 模块（用于读取 PromptManager 的 token 统计）
+let promptManagerModule = null;
+
 // 事件取消订阅
 let settingsUpdatedUnsubscribe = null;
+let chatChangedUnsubscribe = null;
+
+// 聊天绑定按顺序应用，避免快速切换聊天时互相覆盖
+let bindingQueue = Promise.resolve();
+
+// 切换聊天后等待 PromptManager 按新角色重新渲染列表，再应用聊天绑定
+let chatBindingsPending = false;
+let chatBindingsListRendered = false;
+let chatBindingsListNode = null;
+
+// 分组操作的撤销/重做历史
+const groupingHistory = createUndoHistory({
+    onChange: () => updateHistoryButtons(findListContainer()),
+});
 
 // ==================== 签名计算（避免重复渲染） ====================
 
@@ -65,6 +135,9 @@ function computeGroupingSignature(presetName, orderedIdentifiers, groupings) {
             g?.endIdentifier ?? '',
             g?.mode ?? '',
             g?.unresolved ? '1' : '0',
+            (g?.members ?? []).join('\u001e'),
+            g?.tokenBudget ?? '',
+            describeBindings(g?.bindings),
             typeof g?.legacyStartIndex === 'number' ? String(g.legacyStartIndex) : '',
             typeof g?.legacyEndIndex === 'number' ? String(g.legacyEndIndex) : '',
         ].join('\u001e'))
@@ -98,26 +171,30 @@ function getOrderedIdentifiersFromList() {
         .filter(Boolean);
 }
 
-function getGroupedIdentifierSet(presetName, orderedIdentifiers) {
-    const groupings = getAllPresetGroupings(presetName, orderedIdentifiers);
-    const grouped = new Set();
-
-    for (const g of groupings) {
-        if (g?.unresolved) continue;
-        if (typeof g.startIdentifier !== 'string' || typeof g.endIdentifier !== 'string') continue;
-        const startIndex = orderedIdentifiers.indexOf(g.startIdentifier);
-        const endIndex = orderedIdentifiers.indexOf(g.endIdentifier);
-        if (startIndex === -1 || endIndex === -1) continue;
+function getPromptLabelsFromList() {
+    const $ = getJQuery();
+    const labels = {};
+    findListContainer().find('li[data-pm-identifier]').each(function () {
+        const name = $(this).find('.completion_prompt_manager_prompt_name').text().trim();
+        if (name) labels[this.getAttribute('data-pm-identifier')] = name;
+    });
+    return labels;
+}
 
-        const start = Math.min(startIndex, endIndex);
-        const end = Math.max(startIndex, endIndex);
-        for (let i = start; i <= end; i++) {
-            const id = orderedIdentifiers[i];
-            if (id) grouped.add(id);
-        }
-    }
+function getGroupedRanges(presetName, orderedIdentifiers) {
+    return resolveGroupingRanges(getAllPresetGroupings(presetName, orderedIdentifiers), orderedIdentifiers);
+}
 
-    return grouped;
+/**
+ * 获取嵌套在范围内的单选分组（不含范围本身，外层在前）
+ * @param {Array} ranges - 所有分组范围
+ * @param {Object} range - 外层范围
+ * @returns {Array} - 单选分组范围
+ */
+function getNestedExclusiveRanges(ranges, range) {
+    return sortRangesForNesting(ranges).filter((r) => {
+        return r !== range && r.mode === EXCLUSIVE_MODE && r.start >= range.start && r.end <= range.end;
+    });
 }
 
 // ==================== 分组 UI 管理 ====================
@@ -295,6 +372,8 @@ function setupListObserver() {
         if (isApplyingGrouping) return;
 
         if (mutations.some(isRelevantListMutation)) {
+            if (chatBindingsPending) chatBindingsListRendered = true;
+
             const touchesGroupingUi = mutations.some((mutation) => {
                 if (mutation.type !== 'childList') return false;
                 return Array.from(mutation.removedNodes).some(nodeHasGroupingUi)
@@ -447,12 +526,35 @@ function setupToggleReapplyListener() {
     const $ = getJQuery();
     $(document)
         .off('click.peg-toggle')
-        .on('click.peg-toggle', '.prompt-manager-toggle-action', () => {
+        .on('click.peg-toggle', '.prompt-manager-toggle-action', (e) => {
+            const identifier = $(e.currentTarget).closest('li[data-pm-identifier]').attr('data-pm-identifier');
+            if (identifier) enforceExclusiveGroups(identifier);
+
             scheduleApplyGrouping(0);
             setTimeout(() => scheduleApplyGrouping(0), 200);
         });
 }
 
+/**
+ * 条目被原生开关启用后，禁用其所在单选分组中的其他条目
+ * PromptManager 的开关处理先于此处执行，条目状态已经切换
+ */
+async function enforceExclusiveGroups(identifier) {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    const orderedIdentifiers = getOrderedIdentifiersFromList();
+    const index = orderedIdentifiers.indexOf(identifier);
+    if (index === -1) return;
+
+    const exclusiveRanges = getGroupedRanges(presetName, orderedIdentifiers)
+        .filter((r) => r.mode === EXCLUSIVE_MODE && r.start <= index && index <= r.end);
+
+    for (const range of exclusiveRanges) {
+        await enforceExclusiveSelection(identifier, orderedIdentifiers.slice(range.start, range.end + 1));
+    }
+}
+
 // ==================== 🔑 核心：应用分组到列表 ====================
 
 function applyGroupingToList() {
@@ -469,6 +571,9 @@ function applyGroupingToList() {
 
     try {
         applyEntryGroupingThemeVars();
+        ensureGroupingToolbar(listContainer);
+        updateUnresolvedButton(listContainer, presetName);
+        updateProfileSelect(listContainer, presetName);
 
         const groupingUiExists = hasGroupingUi(listContainer);
 
@@ -506,6 +611,7 @@ function applyGroupingToList() {
             && lastAppliedGroupingPreset === presetName
             && lastAppliedGroupingListNode === listContainer[0]
         ) {
+            refreshGroupTokenDisplays(listContainer);
             bindTripleClickEvents();
             return;
         }
@@ -514,8 +620,8 @@ function applyGroupingToList() {
         listContainer.find('.peg-group-header').each(function () {
             const $header = $(this);
             const groupIndex = $header.data('group-index');
-            const wrapper = $header.next('.peg-group-wrapper');
-            const isExpanded = wrapper.is(':visible');
+            // 嵌套分组的包装器可能因外层折叠而不可见，以头部状态为准
+            const isExpanded = $header.hasClass('is-expanded');
             if (groupIndex !== undefined) {
                 groupExpandStates.set(`${presetName}-${groupIndex}`, isExpanded);
             }
@@ -547,20 +653,18 @@ function applyGroupingToList() {
 
         const unresolvedCount = groupings.filter((g) => g?.unresolved).length;
         if (unresolvedCount && window.toastr) {
-            toastr.warning(`有 ${unresolvedCount} 个分组无法解析（已跳过）`);
+            toastr.warning(`有 ${unresolvedCount} 个分组无法解析（已跳过），可点击列表上方的 ⚠ 按钮修复`);
         }
 
-        const resolvedGroupings = groupings
-            .map((g, index) => ({ ...g, originalIndex: index }))
-            .filter((g) => !g.unresolved && typeof g.startIdentifier === 'string' && typeof g.endIdentifier === 'string')
-            .map((g) => {
-                const startIndex = orderedIdentifiers.indexOf(g.startIdentifier);
-                const endIndex = orderedIdentifiers.indexOf(g.endIdentifier);
-                if (startIndex === -1 || endIndex === -1) return null;
-                return { ...g, startIndex, endIndex };
-            })
-            .filter(Boolean)
-            .sort((a, b) => Math.min(b.startIndex, b.endIndex) - Math.min(a.startIndex, a.endIndex));
+        // 外层分组先创建，内层分组再在外层包装器内创建；部分重叠的分组无法嵌套，跳过
+        const resolvedGroupings = [];
+        for (const grouping of sortRangesForNesting(resolveGroupingRanges(groupings, orderedIdentifiers))) {
+            if (findRangeConflict(resolvedGroupings, grouping.start, grouping.end)) {
+                console.warn(`[ST-Grouping] grouping "${grouping.name}" partially overlaps another grouping; skipped.`);
+                continue;
+            }
+            resolvedGroupings.push(grouping);
+        }
 
         // 零解析重试机制
         if (resolvedGroupings.length === 0) {
@@ -580,10 +684,19 @@ function applyGroupingToList() {
         zeroResolvedRetryPreset = null;
         zeroResolvedRetryCount = 0;
 
+        // 旧分组没有成员列表，无法检测成员变化，以当前范围为准补充一次
+        // 存在待修复的旧版分组时暂不补充，避免整体重写时丢失其原始索引
+        if (!membersBackfilledPresets.has(presetName)
+            && getUnresolvedGroupings(presetName, orderedIdentifiers).length === 0) {
+            membersBackfilledPresets.add(presetName);
+            backfillGroupingMembers(presetName, orderedIdentifiers).then((changed) => {
+                if (changed) scheduleApplyGrouping(0);
+            });
+        }
+
         // 创建所有分组UI
         for (const grouping of resolvedGroupings) {
-            const start = Math.min(grouping.startIndex, grouping.endIndex);
-            const end = Math.max(grouping.startIndex, grouping.endIndex);
+            const { start, end } = grouping;
 
             if (start < 0 || end >= items.length) continue;
 
@@ -600,6 +713,13 @@ function applyGroupingToList() {
         setTimeout(() => {
             isApplyingGrouping = false;
         }, 0);
+
+        if (chatBindingsPending
+            && (chatBindingsListRendered || listContainer[0] !== chatBindingsListNode)
+            && listContainer.find('li[data-pm-identifier]').length) {
+            chatBindingsPending = false;
+            scheduleChatBindings();
+        }
     }
 }
 
@@ -612,11 +732,28 @@ function createGroupUI(groupItems, grouping, presetName, groupIndex) {
     const stateKey = `${presetName}-${groupIndex}`;
     const shouldExpand = groupExpandStates.get(stateKey) || false;
 
+    const isExclusive = grouping.mode === EXCLUSIVE_MODE;
+    const modeTitle = isExclusive ? '单选分组（点击切换为多选）' : '多选分组（点击切换为单选）';
+    const bindingTitle = grouping.bindings
+        ? `切换聊天时自动开关：${escapeHtml(describeBindings(grouping.bindings))}`
+        : '设置自动开关（按角色/标签）';
+
     const groupHeader = $(`
-    <div class="peg-group-header${shouldExpand ? ' is-expanded' : ''}">
+    <div class="peg-group-header${shouldExpand ? ' is-expanded' : ''}${isExclusive ? ' is-exclusive' : ''}">
       <span class="peg-group-toggle" aria-hidden="true"></span>
       <span class="peg-group-name"></span>
       <span class="peg-group-count"></span>
+      <span class="peg-group-tokens" title="已启用条目的 token 数（点击设置预算）"></span>
+      ${grouping.membershipChanged ? `
+      <button class="menu_button peg-icon-btn peg-group-changed-btn" title="分组成员已变化，点击确认" aria-label="分组成员已变化，点击确认">
+        <i class="fa-fw fa-solid fa-triangle-exclamation"></i>
+      </button>` : ''}
+      <button class="menu_button peg-icon-btn peg-group-mode-btn" title="${modeTitle}" aria-label="${modeTitle}">
+        <i class="fa-fw fa-solid ${isExclusive ? 'fa-circle-dot' : 'fa-list-check'}"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-group-binding-btn${grouping.bindings ? ' is-active' : ''}" title="${bindingTitle}" aria-label="${bindingTitle}">
+        <i class="fa-fw fa-solid fa-link"></i>
+      </button>
       <button class="menu_button peg-icon-btn peg-group-edit-btn" title="编辑分组" aria-label="编辑分组">
         <span title="edit" class="fa-solid fa-pencil"></span>
       </button>
@@ -642,6 +779,9 @@ function createGroupUI(groupItems, grouping, presetName, groupIndex) {
     groupHeader.find('.peg-group-count').text(`${totalCount}/${enabledCount}`);
 
     groupHeader.data('group-index', groupIndex);
+    groupHeader.data('peg-items', groupItems);
+    groupHeader.data('peg-token-budget', grouping.tokenBudget);
+    updateGroupTokenDisplay(groupHeader);
 
     const groupWrapper = $(`<div class="peg-group-wrapper${shouldExpand ? ' is-expanded' : ''}"></div>`);
 
@@ -662,28 +802,94 @@ function createGroupUI(groupItems, grouping, presetName, groupIndex) {
         e.stopPropagation();
         showInputDialog('请输入分组名称', grouping.name || '分组', async (newName) => {
             if (newName !== grouping.name) {
-                await updatePresetGrouping(
+                // 只改名，锚点保持原样（修复后的锚点需要通过成员变化确认保存）
+                await withHistory(presetName, `重命名分组 "${grouping.name}"`, () => updatePresetGrouping(
                     presetName,
                     groupIndex,
-                    grouping.startIdentifier,
-                    grouping.endIdentifier,
+                    null,
+                    null,
                     newName,
                     getOrderedIdentifiersFromList(),
-                );
+                ));
                 setTimeout(() => applyGroupingToList(), 200);
                 if (window.toastr) toastr.success('分组名称已更新');
             }
         });
     });
 
+    // 设置 token 预算
+    groupHeader.find('.peg-group-tokens').on('click', (e) => {
+        e.stopPropagation();
+        showInputDialog('设置 token 预算（0 表示不限制）', String(grouping.tokenBudget ?? 0), async (value) => {
+            const budget = Number(value);
+            if (!Number.isFinite(budget) || budget < 0) {
+                if (window.toastr) toastr.error('请输入有效的数字');
+                return;
+            }
+
+            await withHistory(
+                presetName,
+                `设置 "${grouping.name}" 的 token 预算`,
+                () => setPresetGroupingBudget(presetName, groupIndex, budget, getOrderedIdentifiersFromList()),
+            );
+            setTimeout(() => applyGroupingToList(), 200);
+        });
+    });
+
+    // 设置聊天绑定
+    groupHeader.find('.peg-group-binding-btn').on('click', async (e) => {
+        e.stopPropagation();
+        await showBindingDialog(grouping, presetName, groupIndex);
+    });
+
+    // 确认成员变化
+    groupHeader.find('.peg-group-changed-btn').on('click', async (e) => {
+        e.stopPropagation();
+        await showMembershipChangeDialog(grouping, presetName, groupIndex);
+    });
+
+    // 切换单选/多选模式
+    groupHeader.find('.peg-group-mode-btn').on('click', async (e) => {
+        e.stopPropagation();
+        const nextMode = isExclusive ? 'inclusive' : EXCLUSIVE_MODE;
+        const label = `将 "${grouping.name}" 切换为${nextMode === EXCLUSIVE_MODE ? '单选' : '多选'}`;
+        const saved = await withHistory(presetName, label, async () => {
+            if (!await setPresetGroupingMode(presetName, groupIndex, nextMode, getOrderedIdentifiersFromList())) return false;
+
+            // 切换为单选时，已启用多个条目的分组只保留第一个
+            if (nextMode === EXCLUSIVE_MODE) {
+                const wrapperItems = groupHeader.next('.peg-group-wrapper').find('li[data-pm-identifier]').toArray();
+                const enabledCount = wrapperItems.filter((item) => {
+                    const $toggle = $(item).find('.prompt-manager-toggle-action');
+                    return $toggle.length && !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+                }).length;
+                if (enabledCount > 1) {
+                    await toggleAllEntriesInGroup(true, wrapperItems, { exclusive: true });
+                    if (window.toastr) toastr.info('单选分组只保留了第一个启用的条目');
+                }
+            }
+            return true;
+        }, { entries: true });
+        if (!saved) {
+            if (window.toastr) toastr.error('切换分组模式失败');
+            return;
+        }
+
+        setTimeout(() => applyGroupingToList(), 200);
+    });
+
     // 清除分组
     groupHeader.find('.peg-group-clear-btn').on('click', async (e) => {
         e.stopPropagation();
         if (confirm('确定要取消这个分组吗？')) {
-            await removePresetGrouping(presetName, groupIndex, getOrderedIdentifiersFromList());
+            await withHistory(
+                presetName,
+                `删除分组 "${grouping.name}"`,
+                () => removePresetGrouping(presetName, groupIndex, getOrderedIdentifiersFromList()),
+                { toast: true },
+            );
             resetTempMarks();
             setTimeout(() => applyGroupingToList(), 200);
-            if (window.toastr) toastr.success('分组已取消');
         }
     });
 
@@ -693,12 +899,620 @@ function createGroupUI(groupItems, grouping, presetName, groupIndex) {
         const groupItemElements = $groupWrapper.find('li[data-pm-identifier]').toArray();
         if (groupItemElements.length > 0) {
             addToggleAllButtonToGroupHeader(groupHeader, groupItemElements, async (enabled, items) => {
-                await toggleAllEntriesInGroup(enabled, items);
+                const label = `${enabled ? '启用' : '禁用'}分组 "${grouping.name}"`;
+                // 嵌套的单选分组（文档顺序即外层在前）
+                const exclusiveRanges = $groupWrapper.find('.peg-group-header.is-exclusive').toArray().map((header) => {
+                    return $(header).next('.peg-group-wrapper').find('li[data-pm-identifier]').toArray()
+                        .map((el) => el.getAttribute('data-pm-identifier'));
+                });
+                await withHistory(
+                    presetName,
+                    label,
+                    () => toggleAllEntriesInGroup(enabled, items, { exclusive: isExclusive, exclusiveRanges }),
+                    { entries: true },
+                );
             });
         }
     }
 }
 
+// ==================== 工具栏 ====================
+
+/**
+ * 在列表上方插入分组工具栏（列表被重新渲染后会重新插入）
+ */
+function ensureGroupingToolbar(listContainer) {
+    const $ = getJQuery();
+    if (listContainer.prev('.peg-toolbar').length) return;
+
+    const toolbar = $(`
+    <div class="peg-toolbar">
+      <button class="menu_button peg-icon-btn peg-undo-btn" title="撤销" aria-label="撤销">
+        <i class="fa-solid fa-rotate-left"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-redo-btn" title="重做" aria-label="重做">
+        <i class="fa-solid fa-rotate-right"></i>
+      </button>
+      <select class="text_pole peg-profile-select" title="应用开关方案"></select>
+      <button class="menu_button peg-icon-btn peg-profile-save-btn" title="保存当前开关状态为方案" aria-label="保存当前开关状态为方案">
+        <i class="fa-solid fa-floppy-disk"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-profile-delete-btn" title="删除开关方案" aria-label="删除开关方案">
+        <i class="fa-solid fa-eraser"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-export-btn" title="导出分组" aria-label="导出分组">
+        <i class="fa-solid fa-file-export"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-import-btn" title="导入分组" aria-label="导入分组">
+        <i class="fa-solid fa-file-import"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-copy-btn" title="复制分组到其他预设" aria-label="复制分组到其他预设">
+        <i class="fa-solid fa-copy"></i>
+      </button>
+      <button class="menu_button peg-icon-btn peg-unresolved-btn" title="修复无法解析的分组" aria-label="修复无法解析的分组" style="display: none;">
+        <i class="fa-solid fa-triangle-exclamation"></i>
+        <span class="peg-unresolved-count"></span>
+      </button>
+    </div>
+  `);
+
+    toolbar.find('.peg-undo-btn').on('click', (e) => {
+        e.stopPropagation();
+        undoGroupingHistory();
+    });
+    toolbar.find('.peg-redo-btn').on('click', (e) => {
+        e.stopPropagation();
+        redoGroupingHistory();
+    });
+    toolbar.find('.peg-profile-select').on('click pointerdown mousedown', (e) => e.stopPropagation());
+    toolbar.find('.peg-profile-select').on('change', (e) => {
+        const profileId = e.currentTarget.value;
+        if (profileId) applyProfile(profileId);
+    });
+    toolbar.find('.peg-profile-save-btn').on('click', (e) => {
+        e.stopPropagation();
+        saveCurrentProfile();
+    });
+    toolbar.find('.peg-profile-delete-btn').on('click', (e) => {
+        e.stopPropagation();
+        deleteProfile();
+    });
+    toolbar.find('.peg-export-btn').on('click', (e) => {
+        e.stopPropagation();
+        exportGroupingsToFile();
+    });
+    toolbar.find('.peg-import-btn').on('click', (e) => {
+        e.stopPropagation();
+        importGroupingsFromFile();
+    });
+    toolbar.find('.peg-copy-btn').on('click', (e) => {
+        e.stopPropagation();
+        copyGroupingsToPresets();
+    });
+    toolbar.find('.peg-unresolved-btn').on('click', (e) => {
+        e.stopPropagation();
+        showRepairDialog();
+    });
+
+    listContainer.before(toolbar);
+    updateHistoryButtons(listContainer);
+}
+
+/**
+ * 更新开关方案下拉框（方案列表未变化时不重建，避免打断正在进行的选择）
+ */
+function updateProfileSelect(listContainer, presetName) {
+    const $ = getJQuery();
+    const select = listContainer.prev('.peg-toolbar').find('.peg-profile-select');
+    const profiles = getPresetProfiles(presetName);
+    const key = `${presetName}\u001c${profiles.map((p) => `${p.id}:${p.name}`).join('\u001d')}`;
+    if (select.data('peg-profiles-key') === key) return;
+
+    select.data('peg-profiles-key', key);
+    select.empty().append($('<option value="">开关方案…</option>'));
+    for (const profile of profiles) {
+        select.append($('<option></option>').val(profile.id).text(profile.name));
+    }
+    listContainer.prev('.peg-toolbar').find('.peg-profile-delete-btn').toggle(profiles.length > 0);
+}
+
+/**
+ * 根据无法解析的分组数量更新工具栏的修复按钮
+ */
+function updateUnresolvedButton(listContainer, presetName) {
+    const count = getUnresolvedGroupings(presetName, getOrderedIdentifiersFromList()).length;
+    const button = listContainer.prev('.peg-toolbar').find('.peg-unresolved-btn');
+    button.toggle(count > 0);
+    button.find('.peg-unresolved-count').text(count);
+}
+
+// ==================== 修复无法解析的分组 ====================
+
+/**
+ * 获取无法显示的分组：被标记为 unresolved 的旧分组，以及锚点已不存在且无法修复的分组
+ */
+function getUnresolvedGroupings(presetName, orderedIdentifiers) {
+    const groupings = getAllPresetGroupings(presetName, orderedIdentifiers);
+    const resolvedIndices = new Set(resolveGroupingRanges(groupings, orderedIdentifiers).map((r) => r.originalIndex));
+
+    return groupings
+        .map((g, index) => ({ ...g, originalIndex: index }))
+        .filter((g) => !resolvedIndices.has(g.originalIndex));
+}
+
+function renderRepairRows($body) {
+    const $ = getJQuery();
+    const presetName = getLoadedPresetName();
+    const orderedIdentifiers = getOrderedIdentifiersFromList();
+    const unresolved = presetName ? getUnresolvedGroupings(presetName, orderedIdentifiers) : [];
+
+    $body.empty();
+    if (unresolved.length === 0) {
+        $body.append('<div class="peg-import-summary">没有无法解析的分组</div>');
+        return;
+    }
+
+    const labels = getPromptLabelsFromList();
+    const optionsHtml = orderedIdentifiers
+        .map((identifier, index) => `<option value="${escapeHtml(identifier)}">${index}. ${escapeHtml(labels[identifier] ?? identifier)}</option>`)
+        .join('');
+
+    for (const grouping of unresolved) {
+        const details = [];
+        if (typeof grouping.legacyStartIndex === 'number' || typeof grouping.legacyEndIndex === 'number') {
+            details.push(`原索引 ${grouping.legacyStartIndex ?? '?'} – ${grouping.legacyEndIndex ?? '?'}`);
+        }
+        if (grouping.startIdentifier && !orderedIdentifiers.includes(grouping.startIdentifier)) details.push('开始条目已不存在');
+        if (grouping.endIdentifier && !orderedIdentifiers.includes(grouping.endIdentifier)) details.push('结束条目已不存在');
+
+        const $row = $(`
+      <div class="peg-repair-row">
+        <div class="peg-import-summary"><b>${escapeHtml(grouping.name)}</b> <small>${escapeHtml(details.join('，'))}</small></div>
+        <div class="peg-repair-fields">
+          <select class="text_pole peg-repair-start">${optionsHtml}</select>
+          <select class="text_pole peg-repair-end">${optionsHtml}</select>
+          <button class="menu_button peg-icon-btn peg-repair-save" title="保存" aria-label="保存"><i class="fa-solid fa-check"></i></button>
+          <button class="menu_button peg-icon-btn peg-repair-delete" title="删除分组" aria-label="删除分组"><i class="fa-solid fa-trash-can"></i></button>
+        </div>
+      </div>
+    `);
+
+        // 预选：仍存在的锚点优先，其次按旧索引
+        const pick = (identifier, legacyIndex) => {
+            if (orderedIdentifiers.includes(identifier)) return identifier;
+            return orderedIdentifiers[Math.min(Math.max(legacyIndex ?? 0, 0), orderedIdentifiers.length - 1)];
+        };
+        $row.find('.peg-repair-start').val(pick(grouping.startIdentifier, grouping.legacyStartIndex));
+        $row.find('.peg-repair-end').val(pick(grouping.endIdentifier, grouping.legacyEndIndex));
+
+        $row.find('.peg-repair-save').on('click', async () => {
+            const startIdentifier = $row.find('.peg-repair-start').val();
+            const endIdentifier = $row.find('.peg-repair-end').val();
+            const startIndex = orderedIdentifiers.indexOf(startIdentifier);
+            const endIndex = orderedIdentifiers.indexOf(endIdentifier);
+            const conflict = findRangeConflict(
+                getGroupedRanges(presetName, orderedIdentifiers),
+                Math.min(startIndex, endIndex),
+                Math.max(startIndex, endIndex),
+            );
+            if (conflict) {
+                if (window.toastr) toastr.error(`选择范围与分组 "${conflict.name}" 部分重叠，请选择完全包含或完全位于其中的范围`);
+                return;
+            }
+
+            const saved = await withHistory(presetName, `修复分组 "${grouping.name}"`, () => updatePresetGrouping(
+                presetName,
+                grouping.originalIndex,
+                startIdentifier,
+                endIdentifier,
+                grouping.name,
+                orderedIdentifiers,
+            ));
+            if (saved && window.toastr) toastr.success(`分组 "${grouping.name}" 已修复`);
+            else if (window.toastr) toastr.error('修复分组失败');
+            renderRepairRows($body);
+            setTimeout(() => applyGroupingToList(), 200);
+        });
+
+        $row.find('.peg-repair-delete').on('click', async () => {
+            if (!confirm(`确定要删除分组 "${grouping.name}" 吗？`)) return;
+
+            const removed = await withHistory(
+                presetName,
+                `删除分组 "${grouping.name}"`,
+                () => removePresetGrouping(presetName, grouping.originalIndex, orderedIdentifiers),
+                { toast: true },
+            );
+            if (!removed && window.toastr) toastr.error('删除分组失败');
+            renderRepairRows($body);
+            setTimeout(() => applyGroupingToList(), 200);
+        });
+
+        $body.append($row);
+    }
+}
+
+async function showRepairDialog() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    await showConfirmDialog(`修复 "${escapeHtml(presetName)}" 中无法解析的分组`, '', null, renderRepairRows);
+}
+
+// ==================== 开关方案 ====================
+
+/**
+ * 读取所有分组内条目的当前启用状态
+ */
+function captureGroupedEntryStates(presetName) {
+    const listContainer = findListContainer();
+    const orderedIdentifiers = getOrderedIdentifiersFromList();
+    const states = {};
+
+    for (const range of getGroupedRanges(presetName, orderedIdentifiers)) {
+        for (const identifier of orderedIdentifiers.slice(range.start, range.end + 1)) {
+            const $toggle = listContainer
+                .find(`li[data-pm-identifier="${CSS.escape(identifier)}"] .prompt-manager-toggle-action`);
+            if (!$toggle.length) continue;
+            states[identifier] = !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+        }
+    }
+
+    return states;
+}
+
+function saveCurrentProfile() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    const states = captureGroupedEntryStates(presetName);
+    if (Object.keys(states).length === 0) {
+        if (window.toastr) toastr.info('当前预设没有分组条目');
+        return;
+    }
+
+    showInputDialog('请输入方案名称（同名方案会被覆盖）', '方案', async (value) => {
+        const name = value.trim();
+        if (!name) return;
+
+        if (await savePresetProfile(presetName, name, states)) {
+            scheduleApplyGrouping(0);
+            if (window.toastr) toastr.success(`方案 "${name}" 已保存（${Object.keys(states).length} 个条目）`);
+        } else if (window.toastr) {
+            toastr.error('保存方案失败');
+        }
+    });
+}
+
+async function applyProfile(profileId) {
+    const presetName = getLoadedPresetName();
+    const profile = presetName ? getPresetProfiles(presetName).find((p) => p.id === profileId) : null;
+    findListContainer().prev('.peg-toolbar').find('.peg-profile-select').val('');
+    if (!profile) return;
+
+    const changed = await withHistory(
+        presetName,
+        `应用方案 "${profile.name}"`,
+        () => applyEntryStates(Object.entries(profile.states)),
+        { entries: true },
+    );
+    if (window.toastr) toastr.success(`已应用方案 "${profile.name}"，切换了 ${changed} 个条目`);
+}
+
+async function deleteProfile() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    const profiles = getPresetProfiles(presetName);
+    if (profiles.length === 0) return;
+
+    const optionsHtml = profiles
+        .map((profile) => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+
+    let selectedId = profiles[0].id;
+    const confirmed = await showConfirmDialog('删除开关方案', `
+      <select class="text_pole peg-profile-delete-select">${optionsHtml}</select>`, '删除', ($body) => {
+        $body.find('select').on('change', (e) => {
+            selectedId = e.currentTarget.value;
+        });
+    });
+    if (!confirmed) return;
+
+    if (await removePresetProfile(presetName, selectedId)) {
+        scheduleApplyGrouping(0);
+        if (window.toastr) toastr.success('方案已删除');
+    } else if (window.toastr) {
+        toastr.error('删除方案失败');
+    }
+}
+
+// ==================== 导入/导出 ====================
+
+function exportGroupingsToFile() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    const data = exportPresetGroupings(presetName, getOrderedIdentifiersFromList(), getPromptLabelsFromList());
+    if (data.groupings.length === 0) {
+        if (window.toastr) toastr.info('当前预设没有可导出的分组');
+        return;
+    }
+
+    downloadJsonFile(data, `${presetName}.groupings.json`);
+}
+
+async function importGroupingsFromFile() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    let data;
+    try {
+        data = await pickJsonFile();
+    } catch (error) {
+        if (window.toastr) toastr.error(error.message);
+        return;
+    }
+    if (!data) return;
+
+    const error = validateGroupingsExport(data);
+    if (error) {
+        if (window.toastr) toastr.error(error);
+        return;
+    }
+
+    const orderedIdentifiers = getOrderedIdentifiersFromList();
+    const plan = planGroupingsImport(data, presetName, orderedIdentifiers);
+
+    const acceptedHtml = plan.accepted.map((g) => `
+      <div class="peg-import-row">
+        <i class="fa-solid fa-check"></i> ${escapeHtml(g.name)}
+        <small>${g.count} 个条目</small>
+      </div>`).join('');
+    const unresolvedHtml = plan.unresolved.map((g) => `
+      <div class="peg-import-row is-error">
+        <i class="fa-solid fa-xmark"></i> ${escapeHtml(g.name)}
+        <small>找不到条目: ${escapeHtml(g.missing.join(', '))}</small>
+      </div>`).join('');
+    const conflictHtml = plan.conflicts.map((g) => `
+      <div class="peg-import-row is-error">
+        <i class="fa-solid fa-xmark"></i> ${escapeHtml(g.name)}
+        <small>与分组 "${escapeHtml(g.conflictName)}" 重叠</small>
+      </div>`).join('');
+
+    const skipped = plan.unresolved.length + plan.conflicts.length;
+    const sourceText = data.preset && data.preset !== presetName ? `（来自 "${escapeHtml(data.preset)}"）` : '';
+    const summary = `可导入 ${plan.accepted.length} 个分组${skipped ? `，${skipped} 个将被跳过` : ''}`;
+
+    if (plan.accepted.length === 0) {
+        await showConfirmDialog(`导入分组到 "${escapeHtml(presetName)}"${sourceText}`, `
+          <div class="peg-import-summary">没有可导入的分组</div>
+          ${unresolvedHtml}${conflictHtml}`, null);
+        return;
+    }
+
+    const confirmed = await showConfirmDialog(`导入分组到 "${escapeHtml(presetName)}"${sourceText}`, `
+      <div class="peg-import-summary">${summary}</div>
+      ${acceptedHtml}${unresolvedHtml}${conflictHtml}`, '导入');
+    if (!confirmed || getLoadedPresetName() !== presetName) return;
+
+    const imported = await withHistory(
+        presetName,
+        `导入 ${plan.accepted.length} 个分组`,
+        () => addPresetGroupings(presetName, plan.accepted, getOrderedIdentifiersFromList()),
+    );
+    if (imported) {
+        setTimeout(() => applyGroupingToList(), 200);
+        if (window.toastr) toastr.success(`已导入 ${plan.accepted.length} 个分组`);
+    } else if (window.toastr) {
+        toastr.error('导入分组失败');
+    }
+}
+
+// ==================== 复制到其他预设 ====================
+
+function renderCopyPreview(groupings, targetNames, replace) {
+    if (targetNames.length === 0) {
+        return '<div class="peg-import-summary">请选择目标预设</div>';
+    }
+
+    return targetNames.map((name) => {
+        const plan = planGroupingsCopy(groupings, name, replace);
+        const skippedHtml = [
+            ...plan.unresolved.map((g) => `
+          <div class="peg-import-row is-error">
+            <i class="fa-solid fa-xmark"></i> ${escapeHtml(g.name)}
+            <small>找不到条目: ${escapeHtml(g.missing.join(', '))}</small>
+          </div>`),
+            ...plan.conflicts.map((g) => `
+          <div class="peg-import-row is-error">
+            <i class="fa-solid fa-xmark"></i> ${escapeHtml(g.name)}
+            <small>与分组 "${escapeHtml(g.conflictName)}" 重叠</small>
+          </div>`),
+        ].join('');
+
+        return `
+      <div class="peg-copy-target">
+        <div class="peg-import-summary"><b>${escapeHtml(name)}</b>: ${plan.accepted.length}/${groupings.length} 个分组可解析</div>
+        ${skippedHtml}
+      </div>`;
+    }).join('');
+}
+
+async function copyGroupingsToPresets() {
+    const presetName = getLoadedPresetName();
+    if (!presetName) return;
+
+    const labels = getPromptLabelsFromList();
+    const groupings = getAllPresetGroupings(presetName, getOrderedIdentifiersFromList())
+        .filter((g) => !g.unresolved)
+        .map((g) => ({
+            ...g,
+            startLabel: labels[g.startIdentifier] ?? g.startIdentifier,
+            endLabel: labels[g.endIdentifier] ?? g.endIdentifier,
+        }));
+    if (groupings.length === 0) {
+        if (window.toastr) toastr.info('当前预设没有可复制的分组');
+        return;
+    }
+
+    const presetNames = (getCurrentApiInfo()?.presetNames ?? []).filter((name) => name !== presetName);
+    if (presetNames.length === 0) {
+        if (window.toastr) toastr.info('没有其他预设');
+        return;
+    }
+
+    const targetsHtml = presetNames.map((name) => `
+      <label class="peg-copy-preset">
+        <input type="checkbox" value="${escapeHtml(name)}"> ${escapeHtml(name)}
+      </label>`).join('');
+
+    let readSelection = () => ({ targets: [], replace: false });
+    const confirmed = await showConfirmDialog(`复制 "${escapeHtml(presetName)}" 的 ${groupings.length} 个分组到…`, `
+      <div class="peg-copy-presets">${targetsHtml}</div>
+      <div class="peg-copy-mode">
+        <label><input type="radio" name="peg-copy-mode" value="merge" checked> 合并到已有分组</label>
+        <label><input type="radio" name="peg-copy-mode" value="replace"> 替换已有分组</label>
+      </div>
+      <div class="peg-copy-preview"></div>`, '复制', ($body) => {
+        readSelection = () => ({
+            targets: $body.find('.peg-copy-preset input:checked').toArray().map((el) => el.value),
+            replace: $body.find('input[name="peg-copy-mode"]:checked').val() === 'replace',
+        });
+        const updatePreview = () => {
+            const { targets, replace } = readSelection();
+            $body.find('.peg-copy-preview').html(renderCopyPreview(groupings, targets, replace));
+        };
+        $body.find('input').on('change', updatePreview);
+        updatePreview();
+    });
+    if (!confirmed) return;
+
+    const { targets, replace } = readSelection();
+    if (targets.length === 0) return;
+
+    let copied = 0;
+    const failed = [];
+    for (const name of targets) {
+        const plan = planGroupingsCopy(groupings, name, replace);
+        const saved = await withHistory(
+            name,
+            `${replace ? '替换' : '复制'} "${name}" 的分组`,
+            () => addPresetGroupings(name, plan.accepted, plan.orderedIdentifiers, { replace }),
+            { toast: replace },
+        );
+        if (saved) {
+            copied += plan.accepted.length;
+        } else {
+            failed.push(name);
+        }
+    }
+
+    if (!window.toastr) return;
+    if (failed.length) {
+        toastr.error(`复制到 ${failed.join(', ')} 失败`);
+    }
+    if (targets.length > failed.length) {
+        toastr.success(`已复制 ${copied} 个分组到 ${targets.length - failed.length} 个预设`);
+    }
+}
+
+// ==================== 成员变化确认 ====================
+
+async function showMembershipChangeDialog(grouping, presetName, groupIndex) {
+    const labels = getPromptLabelsFromList();
+    const label = (identifier) => escapeHtml(labels[identifier] ?? identifier);
+
+    const repairedHtml = grouping.repaired ? `
+      <div class="peg-import-row">
+        <i class="fa-solid fa-link-slash"></i> 锚点条目已被删除，范围改为
+        <small>${label(grouping.startIdentifier)} → ${label(grouping.endIdentifier)}</small>
+      </div>` : '';
+    const addedHtml = grouping.addedMembers.map((identifier) => `
+      <div class="peg-import-row">
+        <i class="fa-solid fa-plus"></i> ${label(identifier)} <small>新加入</small>
+      </div>`).join('');
+    const removedHtml = grouping.removedMembers.map((identifier) => `
+      <div class="peg-import-row is-error">
+        <i class="fa-solid fa-minus"></i> ${label(identifier)} <small>已移出或被删除</small>
+      </div>`).join('');
+
+    const confirmed = await showConfirmDialog(`分组 "${escapeHtml(grouping.name)}" 的成员已变化`, `
+      ${repairedHtml}${addedHtml}${removedHtml}
+      <div class="peg-import-summary">确认后将以当前范围作为分组成员。</div>`, '确认');
+    if (!confirmed) return;
+
+    const confirmedMembership = await withHistory(
+        presetName,
+        `确认 "${grouping.name}" 的成员`,
+        () => confirmGroupingMembership(presetName, [groupIndex], getOrderedIdentifiersFromList()),
+    );
+    if (confirmedMembership) {
+        setTimeout(() => applyGroupingToList(), 200);
+        if (window.toastr) toastr.success('分组成员已确认');
+    } else if (window.toastr) {
+        toastr.error('确认分组成员失败');
+    }
+}
+
+// ==================== Token 统计 ====================
+
+async function loadPromptManagerModule() {
+    try {
+        promptManagerModule = await import('/scripts/openai.js');
+        refreshGroupTokenDisplays(findListContainer());
+    } catch (error) {
+        console.warn('[ST-Grouping] failed to load PromptManager for token counts:', error);
+    }
+}
+
+/**
+ * 获取 PromptManager 的 token 统计（identifier -> token 数）
+ */
+function getTokenCounts() {
+    try {
+        return promptManagerModule?.promptManager?.tokenHandler?.getCounts?.() ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 更新分组头部的 token 数，超出预算时高亮
+ */
+function updateGroupTokenDisplay(groupHeader) {
+    const $ = getJQuery();
+    const $tokens = groupHeader.find('.peg-group-tokens');
+    const counts = getTokenCounts();
+    const groupItems = groupHeader.data('peg-items') ?? [];
+    const budget = groupHeader.data('peg-token-budget');
+
+    if (!counts) {
+        $tokens.hide();
+        groupHeader.removeClass('is-over-budget');
+        return;
+    }
+
+    let tokens = 0;
+    groupItems.forEach((item) => {
+        const $toggle = $(item).find('.prompt-manager-toggle-action');
+        const isEnabled = !$toggle.length || (!$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off'));
+        const count = counts[item.getAttribute('data-pm-identifier')];
+        if (isEnabled && typeof count === 'number') tokens += count;
+    });
+
+    const isOverBudget = !!budget && tokens > budget;
+    $tokens.show().text(budget ? `${tokens}/${budget} tokens` : `${tokens} tokens`);
+    groupHeader.toggleClass('is-over-budget', isOverBudget);
+}
+
+function refreshGroupTokenDisplays(listContainer) {
+    const $ = getJQuery();
+    listContainer.find('.peg-group-header').each(function () {
+        updateGroupTokenDisplay($(this));
+    });
+}
+
 // ==================== 🔑 三连击事件处理 ====================
 
 function bindTripleClickEvents() {
@@ -723,7 +1537,7 @@ function bindTripleClickEvents() {
         $item.on('click.peg', function (e) {
             // 🔑 关键：忽略按钮点击，避免误触发
             const $target = $(e.target);
-            if ($target.closest('.prompt-manager-toggle-action, .prompt-manager-edit-action, .prompt-manager-detach-action, .prompt-manager-inspect-action, .peg-group-edit-btn, .peg-group-clear-btn').length) {
+            if ($target.closest('.prompt-manager-toggle-action, .prompt-manager-edit-action, .prompt-manager-detach-action, .prompt-manager-inspect-action, .peg-group-edit-btn, .peg-group-clear-btn, .peg-group-mode-btn, .peg-group-binding-btn, .peg-group-changed-btn, .peg-group-tokens').length) {
                 return;
             }
 
@@ -799,6 +1613,56 @@ function showInputDialog(title, defaultValue, callback) {
     });
 }
 
+// ==================== 确认对话框 ====================
+
+/**
+ * 显示带内容的确认对话框
+ * @param {string} title - 标题（HTML）
+ * @param {string} bodyHtml - 内容（HTML）
+ * @param {string|null} confirmText - 确认按钮文字，为 null 时只显示关闭按钮
+ * @param {Function} [onRender] - 对话框插入后调用，参数为内容区域的 jQuery 对象
+ * @returns {Promise<boolean>} - 是否确认
+ */
+function showConfirmDialog(title, bodyHtml, confirmText, onRender) {
+    const $ = getJQuery();
+    const vars = CommonStyles.getVars();
+    ensureViewportCssVars();
+
+    const dialog = $(`
+    <div class="peg-input-dialog" style="
+      position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; height: 100dvh; height: calc(var(--peg-vh, 1vh) * 100);
+      background: rgba(0,0,0,0.5); z-index: 10005;
+      display: flex; align-items: center; justify-content: center;
+      padding-top: env(safe-area-inset-top); padding-bottom: env(safe-area-inset-bottom);">
+      <div style="
+        background: ${vars.bgColor}; padding: 20px; border-radius: 12px;
+        min-width: 300px; max-width: min(520px, 90vw); box-shadow: 0 4px 20px rgba(0,0,0,0.3);">
+        <div style="font-weight: 600; margin-bottom: 12px;">${title}</div>
+        <div class="peg-dialog-body" style="max-height: 50vh; overflow-y: auto; margin-bottom: 12px;">${bodyHtml}</div>
+        <div style="display: flex; flex-direction: row; gap: 8px; justify-content: flex-end;">
+          <button class="dialog-cancel menu_button" style="padding: 6px 16px; white-space: nowrap;">${confirmText ? '取消' : '关闭'}</button>
+          ${confirmText ? `<button class="dialog-confirm menu_button" style="padding: 6px 16px; white-space: nowrap;">${confirmText}</button>` : ''}
+        </div>
+      </div>
+    </div>
+  `);
+
+    const panelContainer = findPanelContainer();
+    (panelContainer.length ? panelContainer : $('body')).append(dialog);
+    dialog.on('pointerdown mousedown click', (e) => e.stopPropagation());
+    onRender?.(dialog.find('.peg-dialog-body'));
+
+    return new Promise((resolve) => {
+        const closeDialog = (confirmed) => {
+            dialog.remove();
+            resolve(confirmed);
+        };
+
+        dialog.find('.dialog-confirm').on('click', () => closeDialog(true));
+        dialog.find('.dialog-cancel').on('click', () => closeDialog(false));
+    });
+}
+
 // ==================== 分组菜单 ====================
 
 function showGroupingMenu($item, x, y) {
@@ -812,11 +1676,7 @@ function showGroupingMenu($item, x, y) {
     $('.peg-menu').remove();
 
     const orderedIdentifiers = getOrderedIdentifiersFromList();
-    const groupedIdentifiers = getGroupedIdentifierSet(presetName, orderedIdentifiers);
-    if (groupedIdentifiers.has(identifier)) {
-        if (window.toastr) toastr.info('该条目已在分组中，不能再次分组');
-        return;
-    }
+    const groupedRanges = getGroupedRanges(presetName, orderedIdentifiers);
 
     const vars = CommonStyles.getVars();
     const hasMarks = tempMarks.start !== null || tempMarks.end !== null;
@@ -866,20 +1726,21 @@ function showGroupingMenu($item, x, y) {
 
                 const start = Math.min(startIndex, endIndex);
                 const end = Math.max(startIndex, endIndex);
-                const hasOverlap = orderedIdentifiers.slice(start, end + 1).some((id) => groupedIdentifiers.has(id));
-                if (hasOverlap) {
+                // 允许嵌套：新范围只能完全包含或完全位于已有分组内
+                const conflict = findRangeConflict(groupedRanges, start, end);
+                if (conflict) {
                     resetTempMarks();
-                    if (window.toastr) toastr.error('选择范围包含已分组条目，请重新选择未分组的范围');
+                    if (window.toastr) toastr.error(`选择范围与分组 "${conflict.name}" 部分重叠，请选择完全包含或完全位于其中的范围`);
                     return;
                 }
 
-                await addPresetGrouping(
+                await withHistory(presetName, `新建分组 "${groupName}"`, () => addPresetGrouping(
                     presetName,
                     tempMarks.start,
                     tempMarks.end,
                     groupName,
                     orderedIdentifiers,
-                );
+                ));
                 resetTempMarks();
                 setTimeout(() => applyGroupingToList(), 200);
                 if (window.toastr) toastr.success('分组已创建');
@@ -892,10 +1753,6 @@ function showGroupingMenu($item, x, y) {
     // 菜单项点击
     menu.find('.set-start').on('click', (e) => {
         e.stopPropagation();
-        if (groupedIdentifiers.has(identifier)) {
-            if (window.toastr) toastr.info('该条目已在分组中，不能作为分组起点');
-            return;
-        }
         tempMarks.start = identifier;
         menu.remove();
         $(document).off('click.peg-menu');
@@ -904,10 +1761,6 @@ function showGroupingMenu($item, x, y) {
 
     menu.find('.set-end').on('click', (e) => {
         e.stopPropagation();
-        if (groupedIdentifiers.has(identifier)) {
-            if (window.toastr) toastr.info('该条目已在分组中，不能作为分组终点');
-            return;
-        }
         tempMarks.end = identifier;
         menu.remove();
         $(document).off('click.peg-menu');
@@ -933,15 +1786,372 @@ function showGroupingMenu($item, x, y) {
     }, 100);
 }
 
+// ==================== 撤销/重做 ====================
+
+/**
+ * 读取当前列表中所有条目的启用状态（优先使用 PromptManager 的数据，切换后立即生效）
+ */
+function readEntryStates() {
+    const $ = getJQuery();
+    const promptManager = promptManagerModule?.promptManager;
+    const activeCharacter = promptManager?.activeCharacter;
+    const states = {};
+
+    findListContainer().find('li[data-pm-identifier]').each(function () {
+        const identifier = this.getAttribute('data-pm-identifier');
+        const entry = activeCharacter ? promptManager.getPromptOrderEntry?.(activeCharacter, identifier) : null;
+        if (entry) {
+            states[identifier] = !!entry.enabled;
+            return;
+        }
+
+        const $toggle = $(this).find('.prompt-manager-toggle-action');
+        if ($toggle.length) states[identifier] = !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+    });
+
+    return states;
+}
+
+/**
+ * 执行一次可撤销的分组操作，记录分组定义和（可选）条目启用状态的变化
+ * @param {string} presetName - 预设名称
+ * @param {string} label - 操作描述
+ * @param {Function} action - 操作（可为异步）
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.entries=false] - 是否记录条目启用状态（用于批量开关）
+ * @param {boolean} [options.toast=false] - 是否显示带撤销操作的提示（用于删除等破坏性操作）
+ * @returns {Promise<*>} - 操作的返回值
+ */
+async function withHistory(presetName, label, action, { entries = false, toast = false } = {}) {
+    const before = snapshotPresetGroupings(presetName);
+    const statesBefore = entries ? readEntryStates() : {};
+
+    const result = await action();
+
+    const after = snapshotPresetGroupings(presetName);
+    const statesAfter = entries ? readEntryStates() : {};
+    const groupingsChanged = JSON.stringify(before) !== JSON.stringify(after);
+    const changedIdentifiers = Object.keys(statesAfter)
+        .filter((identifier) => identifier in statesBefore && statesBefore[identifier] !== statesAfter[identifier]);
+    if (!groupingsChanged && changedIdentifiers.length === 0) return result;
+
+    const replay = async (groupings, states) => {
+        if (groupingsChanged && !(await restorePresetGroupings(presetName, groupings))) {
+            throw new Error('保存预设失败');
+        }
+        if (changedIdentifiers.length > 0) {
+            // 条目开关保存在当前预设的条目顺序中，切换预设后无法还原
+            if (getLoadedPresetName() !== presetName) throw new Error(`当前预设不是 "${presetName}"`);
+            await applyEntryStates(changedIdentifiers.map((identifier) => [identifier, states[identifier]]));
+        }
+        scheduleApplyGrouping(0);
+    };
+
+    const entry = groupingHistory.push({
+        label,
+        undo: () => replay(before, statesBefore),
+        redo: () => replay(after, statesAfter),
+    });
+
+    if (toast) {
+        showUndoToast(label, () => undoGroupingHistory(entry));
+    }
+    return result;
+}
+
+async function undoGroupingHistory(expected = null) {
+    if (expected && groupingHistory.peekUndo() !== expected) {
+        if (window.toastr) toastr.warning('之后已有其他操作，请使用工具栏的撤销按钮');
+        return;
+    }
+
+    const entry = await groupingHistory.undo(expected);
+    if (entry && window.toastr) toastr.info(`已撤销：${entry.label}`);
+}
+
+async function redoGroupingHistory() {
+    const entry = await groupingHistory.redo();
+    if (entry && window.toastr) toastr.info(`已重做：${entry.label}`);
+}
+
+function updateHistoryButtons(listContainer) {
+    const toolbar = listContainer.prev('.peg-toolbar');
+    if (!toolbar.length) return;
+    updateUndoButtons(toolbar.find('.peg-undo-btn'), toolbar.find('.peg-redo-btn'), groupingHistory);
+}
+
+// ==================== 聊天绑定 ====================
+
+async function showBindingDialog(grouping, presetName, groupIndex) {
+    const bindings = grouping.bindings ?? { characters: [], tags: [] };
+    let $body = null;
+
+    const bodyHtml = `
+      <div style="font-size: 12px; opacity: 0.8; margin-bottom: 8px;">切换聊天时，当前角色匹配则启用分组，否则禁用。多个值用逗号分隔，全部留空表示不绑定。</div>
+      <label style="display: block; margin-bottom: 4px;">角色名称</label>
+      <input type="text" class="text_pole peg-binding-characters" style="width: 100%; margin-bottom: 8px;" placeholder="例如 Alice, Bob">
+      <label style="display: block; margin-bottom: 4px;">角色标签</label>
+      <input type="text" class="text_pole peg-binding-tags" style="width: 100%;" placeholder="例如 sci-fi">
+    `;
+
+    const confirmed = await showConfirmDialog(`自动开关：${escapeHtml(grouping.name || '分组')}`, bodyHtml, '保存', (body) => {
+        $body = body;
+        body.find('.peg-binding-characters').val(bindings.characters.join(', '));
+        body.find('.peg-binding-tags').val(bindings.tags.join(', '));
+    });
+    if (!confirmed) return;
+
+    const nextBindings = {
+        characters: parseBindingList($body.find('.peg-binding-characters').val()),
+        tags: parseBindingList($body.find('.peg-binding-tags').val()),
+    };
+    const saved = await withHistory(
+        presetName,
+        `设置 "${grouping.name}" 的自动开关`,
+        () => setPresetGroupingBindings(presetName, groupIndex, nextBindings, getOrderedIdentifiersFromList()),
+    );
+    if (!saved) {
+        if (window.toastr) toastr.error('保存自动开关失败');
+        return;
+    }
+
+    setTimeout(() => applyGroupingToList(), 200);
+}
+
+async function applyChatBindings() {
+    const $ = getJQuery();
+    const info = getActiveChatBindingInfo();
+    const presetName = getLoadedPresetName();
+    if (!info || !presetName) return [];
+
+    const items = findListContainer().find('li[data-pm-identifier]').toArray();
+    if (items.length === 0) return [];
+
+    const orderedIdentifiers = items.map((el) => el.getAttribute('data-pm-identifier'));
+    const states = new Map();
+    for (const item of items) {
+        const $toggle = $(item).find('.prompt-manager-toggle-action');
+        if (!$toggle.length) continue;
+        states.set(item.getAttribute('data-pm-identifier'), !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off'));
+    }
+
+    // 嵌套分组按外层到内层应用，内层分组的绑定优先
+    const ranges = sortRangesForNesting(getGroupedRanges(presetName, orderedIdentifiers));
+    const changes = new Map();
+    const toggled = [];
+    for (const range of ranges) {
+        if (!range.bindings) continue;
+
+        const enabled = matchesBindings(range.bindings, info);
+        const rangeIdentifiers = orderedIdentifiers.slice(range.start, range.end + 1).filter((id) => states.has(id));
+        const keep = range.mode === EXCLUSIVE_MODE && enabled
+            ? (rangeIdentifiers.find((id) => states.get(id)) ?? rangeIdentifiers[0])
+            : null;
+
+        let changed = false;
+        for (const identifier of rangeIdentifiers) {
+            const target = keep ? identifier === keep : enabled;
+            changes.set(identifier, target);
+            if (states.get(identifier) !== target) changed = true;
+        }
+        if (changed) toggled.push(`${enabled ? '启用' : '禁用'} ${range.name}`);
+    }
+
+    // 外层分组启用后，其中嵌套的单选分组仍只保留一个条目
+    for (const range of ranges) {
+        if (range.mode !== EXCLUSIVE_MODE) continue;
+
+        const members = orderedIdentifiers.slice(range.start, range.end + 1).filter((id) => changes.has(id));
+        const targeted = members.filter((id) => changes.get(id));
+        if (targeted.length <= 1) continue;
+
+        const keep = targeted.find((id) => states.get(id)) ?? targeted[0];
+        for (const identifier of members) {
+            changes.set(identifier, identifier === keep);
+        }
+    }
+
+    if (toggled.length > 0) {
+        await applyEntryStates([...changes]);
+        scheduleApplyGrouping(0);
+    }
+    return toggled;
+}
+
+/**
+ * 聊天切换后标记待应用的聊天绑定，由列表重新渲染后的 applyGroupingToList 执行
+ */
+function requestChatBindings() {
+    chatBindingsPending = true;
+    chatBindingsListRendered = false;
+    chatBindingsListNode = findListContainer()[0] ?? null;
+}
+
+function scheduleChatBindings() {
+    bindingQueue = bindingQueue
+        .then(async () => {
+            if (!entryGroupingEnabled) return;
+
+            const toggled = await applyChatBindings();
+            if (toggled.length > 0 && window.toastr) {
+                toastr.info(toggled.map((line) => escapeHtml(line)).join('<br>'), '提示词分组已自动切换', { escapeHtml: false });
+            }
+        })
+        .catch((error) => console.error('[ST-Grouping] 应用分组绑定失败:', error));
+}
+
+function teardownChatBindingListener() {
+    try {
+        chatChangedUnsubscribe?.();
+    } catch { }
+    chatChangedUnsubscribe = null;
+}
+
+function setupChatBindingListener() {
+    teardownChatBindingListener();
+
+    try {
+        const context = getSillyTavernContext();
+        const eventSource = context?.eventSource;
+        const chatEvent = context?.eventTypes?.CHAT_CHANGED;
+        if (eventSource?.on && chatEvent) {
+            const handler = () => requestChatBindings();
+            eventSource.on(chatEvent, handler);
+            chatChangedUnsubscribe = () => {
+                try {
+                    eventSource.removeListener?.(chatEvent, handler);
+                } catch { }
+            };
+        }
+    } catch { }
+}
+
+// ==================== 斜杠命令 ====================
+
+let slashCommandsRegistered = false;
+
+function countEnabledItems(items) {
+    const $ = getJQuery();
+    return items.filter((item) => {
+        const $toggle = $(item).find('.prompt-manager-toggle-action');
+        return $toggle.length && !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+    }).length;
+}
+
+function registerSlashCommands() {
+    if (slashCommandsRegistered) return;
+
+    const {
+        SlashCommandParser,
+        SlashCommand,
+        SlashCommandArgument,
+        SlashCommandNamedArgument,
+        ARGUMENT_TYPE,
+    } = getSillyTavernContext();
+    if (!SlashCommandParser || !SlashCommand) {
+        console.warn('[ST-Grouping] SlashCommandParser not available, skipping slash commands');
+        return;
+    }
+    slashCommandsRegistered = true;
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pegroup-toggle',
+        callback: async (args, value) => {
+            const presetName = getLoadedPresetName();
+            const items = findListContainer().find('li[data-pm-identifier]').toArray();
+            if (!presetName || items.length === 0) {
+                if (window.toastr) toastr.warning('提示词管理器尚未加载');
+                return '';
+            }
+
+            const orderedIdentifiers = items.map((el) => el.getAttribute('data-pm-identifier'));
+            const name = String(args.name ?? '');
+            const ranges = getGroupedRanges(presetName, orderedIdentifiers);
+            const range = ranges.find((r) => r.name === name || r.id === name);
+            if (!range) {
+                if (window.toastr) toastr.warning(`预设 "${presetName}" 中找不到分组 "${name}"`);
+                return '';
+            }
+
+            const groupItems = items.slice(range.start, range.end + 1);
+            const normalized = String(value ?? 'toggle').trim().toLowerCase();
+            let enabled;
+            if (['on', 'true', '1', 'enable'].includes(normalized)) enabled = true;
+            else if (['off', 'false', '0', 'disable'].includes(normalized)) enabled = false;
+            else if (normalized === 'toggle' || normalized === '') enabled = countEnabledItems(groupItems) === 0;
+            else {
+                if (window.toastr) toastr.warning(`无效的开关参数 "${value}"，请使用 on、off 或 toggle`);
+                return '';
+            }
+
+            const exclusiveRanges = getNestedExclusiveRanges(ranges, range)
+                .map((r) => orderedIdentifiers.slice(r.start, r.end + 1));
+            await withHistory(
+                presetName,
+                `${enabled ? '启用' : '禁用'}分组 "${range.name}"`,
+                () => toggleAllEntriesInGroup(enabled, groupItems, { exclusive: range.mode === EXCLUSIVE_MODE, exclusiveRanges }),
+                { entries: true },
+            );
+            scheduleApplyGrouping(0);
+            return String(enabled);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: '分组名称或ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'on、off 或 toggle（默认）',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off', 'toggle'],
+            }),
+        ],
+        returns: '切换后的状态（true/false）',
+        helpString: '启用/禁用当前预设中提示词分组内的所有条目（单选分组只启用一个）。例如 <code>/pegroup-toggle name=破限 on</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'pegroup-list',
+        callback: async () => {
+            const presetName = getLoadedPresetName();
+            const items = findListContainer().find('li[data-pm-identifier]').toArray();
+            if (!presetName) return '[]';
+
+            const orderedIdentifiers = items.map((el) => el.getAttribute('data-pm-identifier'));
+            const list = getGroupedRanges(presetName, orderedIdentifiers).map((range) => ({
+                id: range.id,
+                name: range.name,
+                mode: range.mode,
+                entries: range.end - range.start + 1,
+                enabled: countEnabledItems(items.slice(range.start, range.end + 1)),
+            }));
+            return JSON.stringify(list);
+        },
+        returns: '分组列表（JSON）',
+        helpString: '列出当前预设中的提示词分组及其条目数、启用数。',
+    }));
+}
+
 // ==================== 初始化和销毁 ====================
 
 export function initPromptEntryGrouping() {
     entryGroupingEnabled = true;
     installPromptManagerHook();
+    loadPromptManagerModule();
     setupPanelObserver();
     setupThemeReapplyListener();
+    setupChatBindingListener();
+    bindUndoShortcuts('peggroupundo', '#completion_prompt_manager', {
+        undo: () => undoGroupingHistory(),
+        redo: () => redoGroupingHistory(),
+    });
     setupListObserver();
     setupToggleReapplyListener();
+    registerSlashCommands();
 
     // 初始应用分组
     scheduleApplyGrouping(600);
@@ -953,6 +2163,8 @@ export function initPromptEntryGrouping() {
 export function destroyPromptEntryGrouping() {
     entryGroupingEnabled = false;
     teardownThemeReapplyListener();
+    teardownChatBindingListener();
+    unbindUndoShortcuts('peggroupundo');
 
     try {
         if (applyGroupingTimer) {
@@ -982,7 +2194,10 @@ export function destroyPromptEntryGrouping() {
 
     try {
         const listContainer = findListContainer();
-        if (listContainer?.length) cleanupGroupingUi(listContainer);
+        if (listContainer?.length) {
+            cleanupGroupingUi(listContainer);
+            listContainer.prev('.peg-toolbar').remove();
+        }
     } catch { }
 
     console.log('[ST-Grouping] 提示词条目分组已销毁');
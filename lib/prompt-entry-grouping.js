@@ -1,12 +1,19 @@
 // ST-Grouping - 提示词分组核心逻辑
 // 原始来源: prompt-entry-grouping/lib/entry-grouping.js
 // 分组数据存储在预设的 extensions.entryGrouping 字段中
+// 开关方案存储在预设的 extensions.entryGroupingProfiles 字段中
 
-import { getCurrentApiInfo, generateUUID } from './utils.js';
+import { getCurrentApiInfo, generateUUID, normalizeBindings, isPlainObject } from './utils.js';
 
 const DEFAULT_GROUP_NAME = '分组';
 const DEFAULT_MODE = 'inclusive';
 
+// 单选模式：分组内同时最多只有一个条目启用
+export const EXCLUSIVE_MODE = 'exclusive';
+
+// 预设 prompt_order 中全局（非角色专属）顺序的 character_id
+const GLOBAL_PROMPT_ORDER_ID = 100001;
+
 /**
  * 创建分组 ID
  * @returns {string} - 唯一ID
@@ -29,12 +36,38 @@ function asArray(value) {
 }
 
 /**
- * 检查是否为普通对象
- * @param {*} value - 值
- * @returns {boolean}
+ * 读取保存的成员列表
+ * @param {Object} entry - 分组条目
+ * @returns {Array|undefined} - 成员标识符列表
+ */
+function readMembers(entry) {
+    if (!Array.isArray(entry?.members)) return undefined;
+    return entry.members.filter((identifier) => typeof identifier === 'string');
+}
+
+/**
+ * 计算锚点范围内的成员列表
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @param {string} startIdentifier - 开始标识符
+ * @param {string} endIdentifier - 结束标识符
+ * @returns {Array|undefined} - 成员标识符列表，锚点无法解析时为 undefined
  */
-function isPlainObject(value) {
-    return !!value && typeof value === 'object' && !Array.isArray(value);
+function getRangeMembers(orderedIdentifiers, startIdentifier, endIdentifier) {
+    if (!Array.isArray(orderedIdentifiers)) return undefined;
+    const startIndex = orderedIdentifiers.indexOf(startIdentifier);
+    const endIndex = orderedIdentifiers.indexOf(endIdentifier);
+    if (startIndex === -1 || endIndex === -1) return undefined;
+    return orderedIdentifiers.slice(Math.min(startIndex, endIndex), Math.max(startIndex, endIndex) + 1);
+}
+
+/**
+ * 读取 token 预算
+ * @param {Object} entry - 分组条目
+ * @returns {number|undefined} - 正整数预算，未设置时为 undefined
+ */
+function readTokenBudget(entry) {
+    const budget = Number(entry?.tokenBudget);
+    return Number.isFinite(budget) && budget > 0 ? Math.floor(budget) : undefined;
 }
 
 /**
@@ -55,6 +88,35 @@ function isLegacyIndexGrouping(entry) {
     return typeof entry?.startIndex === 'number' && typeof entry?.endIndex === 'number';
 }
 
+/**
+ * 检查是否为已标记无法解析的旧版索引分组（等待在修复面板中重新指定范围）
+ * @param {Object} entry - 条目
+ * @returns {boolean}
+ */
+function isUnresolvedLegacyGrouping(entry) {
+    return entry?.unresolved === true
+        && typeof entry.legacyStartIndex === 'number'
+        && typeof entry.legacyEndIndex === 'number';
+}
+
+/**
+ * 生成无法解析的旧版索引分组
+ * @param {Object} entry - 原始条目
+ * @param {number} legacyStartIndex - 原开始索引
+ * @param {number} legacyEndIndex - 原结束索引
+ * @returns {Object} - 分组条目
+ */
+function createUnresolvedLegacyGrouping(entry, legacyStartIndex, legacyEndIndex) {
+    return {
+        id: typeof entry.id === 'string' ? entry.id : createGroupId(),
+        name: readGroupName(entry),
+        mode: entry.mode || DEFAULT_MODE,
+        unresolved: true,
+        legacyStartIndex,
+        legacyEndIndex,
+    };
+}
+
 /**
  * 检查是否为标识符锚点分组
  * @param {Object} entry - 条目
@@ -86,14 +148,7 @@ function normalizeForRead(entry, orderedIdentifiers) {
             };
         }
 
-        return {
-            id: typeof entry.id === 'string' ? entry.id : createGroupId(),
-            name: readGroupName(entry),
-            mode: entry.mode || DEFAULT_MODE,
-            unresolved: true,
-            legacyStartIndex: entry.startIndex,
-            legacyEndIndex: entry.endIndex,
-        };
+        return createUnresolvedLegacyGrouping(entry, entry.startIndex, entry.endIndex);
     }
 
     if (isIdentifierAnchorGrouping(entry)) {
@@ -105,7 +160,10 @@ function normalizeForRead(entry, orderedIdentifiers) {
                 name: readGroupName(entry),
                 startIdentifier,
                 endIdentifier,
+                members: readMembers(entry),
                 mode: entry.mode || DEFAULT_MODE,
+                tokenBudget: readTokenBudget(entry),
+                bindings: normalizeBindings(entry.bindings),
             };
         }
 
@@ -119,6 +177,10 @@ function normalizeForRead(entry, orderedIdentifiers) {
         };
     }
 
+    if (isUnresolvedLegacyGrouping(entry)) {
+        return createUnresolvedLegacyGrouping(entry, entry.legacyStartIndex, entry.legacyEndIndex);
+    }
+
     return null;
 }
 
@@ -140,6 +202,9 @@ function normalizeForWrite(entry, orderedIdentifiers) {
 
         if (typeof entry.startIdentifier === 'string') normalized.startIdentifier = entry.startIdentifier;
         if (typeof entry.endIdentifier === 'string') normalized.endIdentifier = entry.endIdentifier;
+        if (readMembers(entry)) normalized.members = readMembers(entry);
+        if (readTokenBudget(entry)) normalized.tokenBudget = readTokenBudget(entry);
+        if (normalizeBindings(entry.bindings)) normalized.bindings = normalizeBindings(entry.bindings);
 
         if (entry.unresolved) normalized.unresolved = true;
         if (typeof entry.legacyStartIndex === 'number') normalized.legacyStartIndex = entry.legacyStartIndex;
@@ -162,14 +227,11 @@ function normalizeForWrite(entry, orderedIdentifiers) {
             };
         }
 
-        return {
-            id: typeof entry.id === 'string' ? entry.id : createGroupId(),
-            name: readGroupName(entry),
-            mode: entry.mode || DEFAULT_MODE,
-            unresolved: true,
-            legacyStartIndex: entry.startIndex,
-            legacyEndIndex: entry.endIndex,
-        };
+        return createUnresolvedLegacyGrouping(entry, entry.startIndex, entry.endIndex);
+    }
+
+    if (isUnresolvedLegacyGrouping(entry)) {
+        return createUnresolvedLegacyGrouping(entry, entry.legacyStartIndex, entry.legacyEndIndex);
     }
 
     return null;
@@ -188,12 +250,13 @@ function getWritableGroupings(rawGroupings, orderedIdentifiers) {
 }
 
 /**
- * 同步分组到当前活动设置
+ * 同步扩展数据到当前活动设置
  * @param {Object} apiInfo - API 信息
  * @param {string} presetName - 预设名称
- * @param {Array} groupings - 分组列表
+ * @param {string} key - extensions 下的字段名
+ * @param {*} value - 字段值
  */
-function syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings) {
+function syncExtensionToActiveSettings(apiInfo, presetName, key, value) {
     try {
         const presetManager = apiInfo?.presetManager;
         if (!presetManager) return;
@@ -205,12 +268,100 @@ function syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings) {
         if (!isPlainObject(settings)) return;
 
         if (!isPlainObject(settings.extensions)) settings.extensions = {};
-        settings.extensions.entryGrouping = groupings;
+        settings.extensions[key] = value;
     } catch (error) {
-        console.warn('[ST-Grouping] 同步当前预设分组扩展数据失败:', error);
+        console.warn(`[ST-Grouping] 同步当前预设扩展数据 ${key} 失败:`, error);
     }
 }
 
+/**
+ * 同步分组到当前活动设置
+ * @param {Object} apiInfo - API 信息
+ * @param {string} presetName - 预设名称
+ * @param {Array} groupings - 分组列表
+ */
+function syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings) {
+    syncExtensionToActiveSettings(apiInfo, presetName, 'entryGrouping', groupings);
+}
+
+/**
+ * 将分组解析为当前列表中的索引范围（跳过无法解析的分组）
+ * 锚点条目被删除时，回退到保存的成员中仍然存在、离原锚点最近的条目；
+ * 成员与保存的列表不一致时标记 membershipChanged，等待用户确认
+ * @param {Array} groupings - 分组列表（getAllPresetGroupings 的结果）
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Array} - 附带 originalIndex/startIndex/endIndex/start/end 的分组列表
+ */
+export function resolveGroupingRanges(groupings, orderedIdentifiers) {
+    return asArray(groupings)
+        .map((g, index) => ({ ...g, originalIndex: index }))
+        .filter((g) => !g.unresolved && typeof g.startIdentifier === 'string' && typeof g.endIdentifier === 'string')
+        .map((g) => {
+            let { startIdentifier, endIdentifier } = g;
+            let repaired = false;
+
+            if (!orderedIdentifiers.includes(startIdentifier) || !orderedIdentifiers.includes(endIdentifier)) {
+                const remaining = asArray(g.members).filter((identifier) => orderedIdentifiers.includes(identifier));
+                if (remaining.length === 0) return null;
+
+                if (!orderedIdentifiers.includes(startIdentifier)) startIdentifier = remaining[0];
+                if (!orderedIdentifiers.includes(endIdentifier)) endIdentifier = remaining[remaining.length - 1];
+                repaired = true;
+            }
+
+            const startIndex = orderedIdentifiers.indexOf(startIdentifier);
+            const endIndex = orderedIdentifiers.indexOf(endIdentifier);
+            const start = Math.min(startIndex, endIndex);
+            const end = Math.max(startIndex, endIndex);
+
+            const current = orderedIdentifiers.slice(start, end + 1);
+            const addedMembers = g.members ? current.filter((identifier) => !g.members.includes(identifier)) : [];
+            const removedMembers = g.members ? g.members.filter((identifier) => !current.includes(identifier)) : [];
+
+            return {
+                ...g,
+                startIdentifier,
+                endIdentifier,
+                startIndex,
+                endIndex,
+                start,
+                end,
+                repaired,
+                addedMembers,
+                removedMembers,
+                membershipChanged: repaired || addedMembers.length > 0 || removedMembers.length > 0,
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 查找与指定范围冲突的分组
+ * 分组之间只能完全不相交或完全嵌套；部分重叠、范围完全相同都视为冲突
+ * @param {Array} ranges - 已解析的分组范围
+ * @param {number} start - 范围起点索引
+ * @param {number} end - 范围终点索引
+ * @returns {Object|null} - 冲突的分组
+ */
+export function findRangeConflict(ranges, start, end) {
+    return asArray(ranges).find((r) => {
+        if (end < r.start || start > r.end) return false;
+        if (start === r.start && end === r.end) return true;
+        const contains = start <= r.start && end >= r.end;
+        const isContained = start >= r.start && end <= r.end;
+        return !contains && !isContained;
+    }) || null;
+}
+
+/**
+ * 按嵌套顺序排序分组范围：起点靠前的在前，起点相同时外层在前
+ * @param {Array} ranges - 已解析的分组范围
+ * @returns {Array} - 排序后的新数组
+ */
+export function sortRangesForNesting(ranges) {
+    return [...asArray(ranges)].sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
 /**
  * 获取当前加载的预设名称
  * @returns {string|null} - 预设名称
@@ -291,6 +442,7 @@ export async function addPresetGrouping(presetName, startIdentifier, endIdentifi
                 name: groupName || DEFAULT_GROUP_NAME,
                 startIdentifier,
                 endIdentifier,
+                members: getRangeMembers(orderedIdentifiers, startIdentifier, endIdentifier),
                 mode: DEFAULT_MODE,
             });
             presetObj.extensions.entryGrouping = groupings;
@@ -332,12 +484,22 @@ export async function updatePresetGrouping(presetName, groupIndex, startIdentifi
             }
 
             const existing = groupings[groupIndex] || {};
+            const nextStart = typeof startIdentifier === 'string' ? startIdentifier : existing.startIdentifier;
+            const nextEnd = typeof endIdentifier === 'string' ? endIdentifier : existing.endIdentifier;
+            const anchorsChanged = nextStart !== existing.startIdentifier || nextEnd !== existing.endIdentifier;
+
             groupings[groupIndex] = {
                 id: existing.id || createGroupId(),
                 name: groupName || existing.name || DEFAULT_GROUP_NAME,
-                startIdentifier: typeof startIdentifier === 'string' ? startIdentifier : existing.startIdentifier,
-                endIdentifier: typeof endIdentifier === 'string' ? endIdentifier : existing.endIdentifier,
+                startIdentifier: nextStart,
+                endIdentifier: nextEnd,
+                // 只改名时保留已确认的成员列表，避免悄悄接受成员变化
+                members: anchorsChanged || !existing.members
+                    ? getRangeMembers(orderedIdentifiers, nextStart, nextEnd)
+                    : existing.members,
                 mode: existing.mode || DEFAULT_MODE,
+                tokenBudget: existing.tokenBudget,
+                bindings: existing.bindings,
             };
 
             presetObj.extensions.entryGrouping = groupings;
@@ -354,6 +516,185 @@ export async function updatePresetGrouping(presetName, groupIndex, startIdentifi
     }
 }
 
+/**
+ * 设置指定分组的模式
+ * @param {string} presetName - 预设名称
+ * @param {number} groupIndex - 分组索引
+ * @param {string} mode - 'inclusive' 或 'exclusive'
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function setPresetGroupingMode(presetName, groupIndex, mode, orderedIdentifiers) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const groupings = getWritableGroupings(presetObj.extensions.entryGrouping, orderedIdentifiers);
+            if (groupIndex < 0 || groupIndex >= groupings.length) {
+                throw new Error(`Invalid group index: ${groupIndex}`);
+            }
+
+            groupings[groupIndex].mode = mode === EXCLUSIVE_MODE ? EXCLUSIVE_MODE : DEFAULT_MODE;
+            presetObj.extensions.entryGrouping = groupings;
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 设置分组模式失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 设置指定分组的 token 预算
+ * @param {string} presetName - 预设名称
+ * @param {number} groupIndex - 分组索引
+ * @param {number} budget - 预算，0 表示不限制
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function setPresetGroupingBudget(presetName, groupIndex, budget, orderedIdentifiers) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const groupings = getWritableGroupings(presetObj.extensions.entryGrouping, orderedIdentifiers);
+            if (groupIndex < 0 || groupIndex >= groupings.length) {
+                throw new Error(`Invalid group index: ${groupIndex}`);
+            }
+
+            const tokenBudget = readTokenBudget({ tokenBudget: budget });
+            if (tokenBudget) {
+                groupings[groupIndex].tokenBudget = tokenBudget;
+            } else {
+                delete groupings[groupIndex].tokenBudget;
+            }
+
+            presetObj.extensions.entryGrouping = groupings;
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 设置分组预算失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 设置指定分组的聊天绑定规则
+ * @param {string} presetName - 预设名称
+ * @param {number} groupIndex - 分组索引
+ * @param {Object|null} bindings - { characters: [], tags: [] }，为空时移除绑定
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function setPresetGroupingBindings(presetName, groupIndex, bindings, orderedIdentifiers) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const groupings = getWritableGroupings(presetObj.extensions.entryGrouping, orderedIdentifiers);
+            if (groupIndex < 0 || groupIndex >= groupings.length) {
+                throw new Error(`Invalid group index: ${groupIndex}`);
+            }
+
+            const normalized = normalizeBindings(bindings);
+            if (normalized) {
+                groupings[groupIndex].bindings = normalized;
+            } else {
+                delete groupings[groupIndex].bindings;
+            }
+
+            presetObj.extensions.entryGrouping = groupings;
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 设置分组绑定失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 确认分组的成员变化：保存修复后的锚点和当前成员列表
+ * @param {string} presetName - 预设名称
+ * @param {Array} groupIndices - 要确认的分组索引列表
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function confirmGroupingMembership(presetName, groupIndices, orderedIdentifiers) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const groupings = getWritableGroupings(presetObj.extensions.entryGrouping, orderedIdentifiers);
+            const resolved = resolveGroupingRanges(groupings, orderedIdentifiers);
+
+            let changed = false;
+            for (const range of resolved) {
+                if (!asArray(groupIndices).includes(range.originalIndex)) continue;
+
+                const grouping = groupings[range.originalIndex];
+                grouping.startIdentifier = range.startIdentifier;
+                grouping.endIdentifier = range.endIdentifier;
+                grouping.members = orderedIdentifiers.slice(range.start, range.end + 1);
+                changed = true;
+            }
+            if (!changed) return false;
+
+            presetObj.extensions.entryGrouping = groupings;
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 确认分组成员失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 为尚未保存成员列表的旧分组补充成员列表（以当前范围为准）
+ * @param {string} presetName - 预设名称
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @returns {Promise<boolean>} - 是否有分组被补充
+ */
+export async function backfillGroupingMembers(presetName, orderedIdentifiers) {
+    const pending = resolveGroupingRanges(getAllPresetGroupings(presetName, orderedIdentifiers), orderedIdentifiers)
+        .filter((range) => !range.members && !range.repaired)
+        .map((range) => range.originalIndex);
+    if (pending.length === 0) return false;
+
+    return confirmGroupingMembership(presetName, pending, orderedIdentifiers);
+}
+
 /**
  * 删除指定分组
  * @param {string} presetName - 预设名称
@@ -389,3 +730,311 @@ export async function removePresetGrouping(presetName, groupIndex, orderedIdenti
         return false;
     }
 }
+
+// ==================== 导入/导出 ====================
+
+const EXPORT_FORMAT = 'st-grouping/prompt-groupings';
+const EXPORT_VERSION = 1;
+
+/**
+ * 导出预设的分组定义（不含无法解析的分组）
+ * @param {string} presetName - 预设名称
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @param {Object} [labels] - 标识符到条目名称的映射，用于导入时的提示
+ * @returns {Object} - 导出数据
+ */
+export function exportPresetGroupings(presetName, orderedIdentifiers, labels = {}) {
+    const groupings = getAllPresetGroupings(presetName, orderedIdentifiers)
+        .filter((g) => !g.unresolved)
+        .map((g) => ({
+            name: g.name,
+            startIdentifier: g.startIdentifier,
+            endIdentifier: g.endIdentifier,
+            startLabel: labels[g.startIdentifier] ?? g.startIdentifier,
+            endLabel: labels[g.endIdentifier] ?? g.endIdentifier,
+            mode: g.mode,
+            tokenBudget: g.tokenBudget,
+            bindings: g.bindings ?? undefined,
+        }));
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        preset: presetName,
+        exportedAt: new Date().toISOString(),
+        groupings,
+    };
+}
+
+/**
+ * 校验导入的分组数据
+ * @param {Object} data - 导入数据
+ * @returns {string|null} - 错误信息
+ */
+export function validateGroupingsExport(data) {
+    if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) return '文件不是提示词分组数据';
+    if (data.version > EXPORT_VERSION) return `分组数据版本 ${data.version} 过新，请先更新扩展`;
+    if (!Array.isArray(data.groupings)) return '分组数据不完整';
+    return null;
+}
+
+/**
+ * 将待添加的分组与目标条目顺序比对（不修改数据）
+ * 锚点不存在的分组记为无法解析；与已有分组或先接受的分组部分重叠的记为冲突
+ * @param {Array} entries - 待添加的分组
+ * @param {Array} ranges - 目标预设中保留的已解析分组范围
+ * @param {Array} orderedIdentifiers - 目标预设的有序标识符列表
+ * @returns {{accepted: Array, unresolved: Array, conflicts: Array}} - 添加方案
+ */
+function planGroupingRanges(entries, ranges, orderedIdentifiers) {
+    const plan = { accepted: [], unresolved: [], conflicts: [] };
+    const occupied = [...ranges];
+
+    for (const entry of asArray(entries)) {
+        if (!isPlainObject(entry)) continue;
+
+        const grouping = {
+            name: readGroupName(entry),
+            startIdentifier: entry.startIdentifier,
+            endIdentifier: entry.endIdentifier,
+            startLabel: entry.startLabel ?? entry.startIdentifier,
+            endLabel: entry.endLabel ?? entry.endIdentifier,
+            mode: entry.mode || DEFAULT_MODE,
+            tokenBudget: readTokenBudget(entry),
+            bindings: normalizeBindings(entry.bindings) ?? undefined,
+        };
+
+        const startIndex = orderedIdentifiers.indexOf(grouping.startIdentifier);
+        const endIndex = orderedIdentifiers.indexOf(grouping.endIdentifier);
+        if (startIndex === -1 || endIndex === -1) {
+            const missing = [];
+            if (startIndex === -1) missing.push(grouping.startLabel);
+            if (endIndex === -1 && grouping.endIdentifier !== grouping.startIdentifier) missing.push(grouping.endLabel);
+            plan.unresolved.push({ ...grouping, missing });
+            continue;
+        }
+
+        const start = Math.min(startIndex, endIndex);
+        const end = Math.max(startIndex, endIndex);
+        const conflict = findRangeConflict(occupied, start, end);
+        if (conflict) {
+            plan.conflicts.push({ ...grouping, conflictName: conflict.name });
+            continue;
+        }
+
+        occupied.push({ ...grouping, start, end });
+        plan.accepted.push({ ...grouping, count: end - start + 1 });
+    }
+
+    return plan;
+}
+
+/**
+ * 将导入的分组与目标预设的条目顺序比对（不修改数据）
+ * @param {Object} data - 已校验的导入数据
+ * @param {string} presetName - 目标预设名称
+ * @param {Array} orderedIdentifiers - 目标预设的有序标识符列表
+ * @returns {{accepted: Array, unresolved: Array, conflicts: Array}} - 导入方案
+ */
+export function planGroupingsImport(data, presetName, orderedIdentifiers) {
+    const ranges = resolveGroupingRanges(getAllPresetGroupings(presetName, orderedIdentifiers), orderedIdentifiers);
+    return planGroupingRanges(data.groupings, ranges, orderedIdentifiers);
+}
+
+/**
+ * 从预设对象读取条目顺序（优先使用全局顺序）
+ * @param {string} presetName - 预设名称
+ * @returns {Array} - 有序标识符列表
+ */
+export function getPresetOrderedIdentifiers(presetName) {
+    const promptOrder = asArray(getPreset(presetName)?.prompt_order);
+    const order = promptOrder.find((o) => o?.character_id === GLOBAL_PROMPT_ORDER_ID) ?? promptOrder[0];
+    return asArray(order?.order)
+        .map((item) => item?.identifier)
+        .filter((identifier) => typeof identifier === 'string');
+}
+
+/**
+ * 计算将分组复制到目标预设的方案（不修改数据）
+ * @param {Array} groupings - 要复制的分组（含 startIdentifier/endIdentifier）
+ * @param {string} targetPresetName - 目标预设名称
+ * @param {boolean} replace - 是否替换目标预设的全部分组
+ * @returns {{accepted: Array, unresolved: Array, conflicts: Array, orderedIdentifiers: Array}} - 复制方案
+ */
+export function planGroupingsCopy(groupings, targetPresetName, replace) {
+    const orderedIdentifiers = getPresetOrderedIdentifiers(targetPresetName);
+    const ranges = replace
+        ? []
+        : resolveGroupingRanges(getAllPresetGroupings(targetPresetName, orderedIdentifiers), orderedIdentifiers);
+    return { ...planGroupingRanges(groupings, ranges, orderedIdentifiers), orderedIdentifiers };
+}
+
+/**
+ * 批量添加分组（一次保存）
+ * @param {string} presetName - 预设名称
+ * @param {Array} newGroupings - 包含 name/startIdentifier/endIdentifier/mode 的分组列表
+ * @param {Array} orderedIdentifiers - 有序标识符列表
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.replace=false] - 是否先清空预设原有的分组
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function addPresetGroupings(presetName, newGroupings, orderedIdentifiers, { replace = false } = {}) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const groupings = replace ? [] : getWritableGroupings(presetObj.extensions.entryGrouping, orderedIdentifiers);
+            for (const grouping of asArray(newGroupings)) {
+                groupings.push({
+                    id: createGroupId(),
+                    name: grouping.name || DEFAULT_GROUP_NAME,
+                    startIdentifier: grouping.startIdentifier,
+                    endIdentifier: grouping.endIdentifier,
+                    members: getRangeMembers(orderedIdentifiers, grouping.startIdentifier, grouping.endIdentifier),
+                    mode: grouping.mode || DEFAULT_MODE,
+                    tokenBudget: readTokenBudget(grouping),
+                    bindings: normalizeBindings(grouping.bindings) ?? undefined,
+                });
+            }
+            presetObj.extensions.entryGrouping = groupings;
+
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, groupings);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 批量添加分组配置失败:', error);
+        return false;
+    }
+}
+
+// ==================== 撤销/重做 ====================
+
+/**
+ * 复制预设保存的原始分组数据（用于撤销/重做）
+ * @param {string} presetName - 预设名称
+ * @returns {Array} - 分组数据副本
+ */
+export function snapshotPresetGroupings(presetName) {
+    return structuredClone(asArray(getPreset(presetName)?.extensions?.entryGrouping));
+}
+
+/**
+ * 用快照替换预设的全部分组（用于撤销/重做）
+ * @param {string} presetName - 预设名称
+ * @param {Array} groupings - snapshotPresetGroupings 的结果
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function restorePresetGroupings(presetName, groupings) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const restored = structuredClone(asArray(groupings));
+            presetObj.extensions.entryGrouping = restored;
+            syncEntryGroupingToActiveSettings(apiInfo, presetName, restored);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 还原分组配置失败:', error);
+        return false;
+    }
+}
+
+// ==================== 开关方案 ====================
+
+/**
+ * 规范化开关方案列表
+ * @param {*} rawProfiles - 原始数据
+ * @returns {Array} - 方案列表 [{ id, name, states: { identifier: boolean } }]
+ */
+function normalizeProfiles(rawProfiles) {
+    return asArray(rawProfiles)
+        .filter((profile) => isPlainObject(profile) && isPlainObject(profile.states))
+        .map((profile) => ({
+            id: typeof profile.id === 'string' ? profile.id : createGroupId(),
+            name: typeof profile.name === 'string' && profile.name ? profile.name : '方案',
+            states: Object.fromEntries(
+                Object.entries(profile.states).filter(([, enabled]) => typeof enabled === 'boolean'),
+            ),
+        }));
+}
+
+/**
+ * 获取预设的开关方案
+ * @param {string} presetName - 预设名称
+ * @returns {Array} - 方案列表
+ */
+export function getPresetProfiles(presetName) {
+    return normalizeProfiles(getPreset(presetName)?.extensions?.entryGroupingProfiles);
+}
+
+/**
+ * 修改预设的开关方案并保存
+ * @param {string} presetName - 预设名称
+ * @param {Function} update - (profiles) => profiles
+ * @returns {Promise<boolean>} - 是否成功
+ */
+async function updatePresetProfiles(presetName, update) {
+    try {
+        const apiInfo = getCurrentApiInfo();
+        if (apiInfo && apiInfo.presetManager) {
+            const presetObj = apiInfo.presetManager.getCompletionPresetByName(presetName);
+            if (!presetObj) throw new Error(`Preset "${presetName}" not found`);
+            if (!presetObj.extensions) presetObj.extensions = {};
+
+            const profiles = update(normalizeProfiles(presetObj.extensions.entryGroupingProfiles));
+            presetObj.extensions.entryGroupingProfiles = profiles;
+            syncExtensionToActiveSettings(apiInfo, presetName, 'entryGroupingProfiles', profiles);
+
+            await apiInfo.presetManager.savePreset(presetName, presetObj, { skipUpdate: true });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        console.error('[ST-Grouping] 保存开关方案失败:', error);
+        return false;
+    }
+}
+
+/**
+ * 保存开关方案（同名方案会被覆盖）
+ * @param {string} presetName - 预设名称
+ * @param {string} name - 方案名称
+ * @param {Object} states - 条目启用状态 { identifier: boolean }
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function savePresetProfile(presetName, name, states) {
+    return updatePresetProfiles(presetName, (profiles) => {
+        const existing = profiles.find((profile) => profile.name === name);
+        if (existing) {
+            existing.states = { ...states };
+            return profiles;
+        }
+        return [...profiles, { id: createGroupId(), name, states: { ...states } }];
+    });
+}
+
+/**
+ * 删除开关方案
+ * @param {string} presetName - 预设名称
+ * @param {string} profileId - 方案 ID
+ * @returns {Promise<boolean>} - 是否成功
+ */
+export async function removePresetProfile(presetName, profileId) {
+    return updatePresetProfiles(presetName, (profiles) => profiles.filter((profile) => profile.id !== profileId));
+}
@@ -45,19 +45,22 @@ export function addToggleAllButtonToGroupHeader($groupHeader, groupItems, onTogg
             }
         });
 
+        // 单选分组只启用一个条目即为完整状态
+        const isExclusive = $groupHeader.hasClass('is-exclusive');
+
         const $icon = $toggleBtn.find('i');
         $toggleBtn.removeClass('is-mixed');
         if (enabledCount === 0) {
             $icon.removeClass('fa-toggle-on').addClass('fa-toggle-off');
-            $toggleBtn.attr('title', '一键启用分组内所有条目');
+            $toggleBtn.attr('title', isExclusive ? '启用分组内的第一个条目' : '一键启用分组内所有条目');
             $toggleBtn.attr('data-state', 'off');
-        } else if (enabledCount === totalCount) {
+        } else if (enabledCount === totalCount || (isExclusive && enabledCount === 1)) {
             $icon.removeClass('fa-toggle-off').addClass('fa-toggle-on');
-            $toggleBtn.attr('title', '一键禁用分组内所有条目');
+            $toggleBtn.attr('title', isExclusive ? '禁用分组内的条目' : '一键禁用分组内所有条目');
             $toggleBtn.attr('data-state', 'on');
         } else {
             $icon.removeClass('fa-toggle-off').addClass('fa-toggle-on');
-            $toggleBtn.attr('title', '一键开关分组内所有条目（当前部分启用）');
+            $toggleBtn.attr('title', isExclusive ? '只保留一个启用的条目' : '一键开关分组内所有条目（当前部分启用）');
             $toggleBtn.attr('data-state', 'mixed');
             $toggleBtn.addClass('is-mixed');
         }
@@ -80,7 +83,7 @@ export function addToggleAllButtonToGroupHeader($groupHeader, groupItems, onTogg
                 await onToggle(shouldEnable, groupItems);
             }
 
-            updateButtonState();
+            refreshRelatedToggleButtons($groupHeader);
         } catch (error) {
             console.error('[ST-Grouping] 切换失败:', error);
             if (window.toastr) {
@@ -99,60 +102,159 @@ export function addToggleAllButtonToGroupHeader($groupHeader, groupItems, onTogg
         $groupHeader.append($toggleBtn);
     }
 
+    // 保存状态更新函数，供嵌套分组联动刷新
+    $toggleBtn.data('peg-update-state', updateButtonState);
+
     // 初始化按钮状态
     updateButtonState();
 
     return $toggleBtn;
 }
 
+/**
+ * 刷新分组及其嵌套子分组、上级分组的开关按钮状态
+ * 一键开关作用于整个子树，切换后上下级分组的启用计数都会变化
+ * @param {jQuery} $groupHeader - 分组头部元素
+ */
+function refreshRelatedToggleButtons($groupHeader) {
+    const $ = getJQuery();
+    const $wrapper = $groupHeader.next('.peg-group-wrapper');
+    const $ancestorHeaders = $groupHeader.parents('.peg-group-wrapper').prev('.peg-group-header');
+
+    $groupHeader
+        .add($wrapper.find('.peg-group-header'))
+        .add($ancestorHeaders)
+        .find('.peg-toggle-all-btn')
+        .each(function () {
+            $(this).data('peg-update-state')?.();
+        });
+}
+
 /**
  * 切换分组内所有条目的启用状态
+ * 单选模式下启用时只保留一个条目：优先保留已启用的条目，否则启用第一个
+ * 嵌套在范围内的单选分组同样只保留一个条目
  * @param {boolean} enabled - 是否启用
  * @param {Array} groupItems - 分组内的条目元素数组
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.exclusive=false] - 是否为单选模式
+ * @param {Array<Array<string>>} [options.exclusiveRanges=[]] - 范围内嵌套的单选分组的标识符列表（外层在前）
  */
-export async function toggleAllEntriesInGroup(enabled, groupItems) {
+export async function toggleAllEntriesInGroup(enabled, groupItems, { exclusive = false, exclusiveRanges = [] } = {}) {
     const $ = getJQuery();
 
     if (!groupItems || groupItems.length === 0) return;
 
-    const identifiers = [];
+    const entries = [];
     for (const item of groupItems) {
         const $item = $(item);
         const $toggle = $item.find('.prompt-manager-toggle-action');
         if (!$toggle.length) continue;
 
-        const identifier = String($item.attr('data-pm-identifier') ?? '').trim();
-        if (identifier) identifiers.push(identifier);
+        entries.push({
+            identifier: String($item.attr('data-pm-identifier') ?? '').trim(),
+            $toggle,
+            isEnabled: !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off'),
+        });
+    }
+    if (entries.length === 0) return;
+
+    const keep = exclusive && enabled ? (entries.find((entry) => entry.isEnabled) ?? entries[0]) : null;
+    for (const entry of entries) {
+        entry.target = keep ? entry === keep : enabled;
+    }
+
+    // 嵌套的单选分组：启用了多个条目时只保留一个
+    for (const identifiers of exclusiveRanges) {
+        const members = entries.filter((entry) => identifiers.includes(entry.identifier));
+        const targeted = members.filter((entry) => entry.target);
+        if (targeted.length <= 1) continue;
+
+        const nestedKeep = targeted.find((entry) => entry.isEnabled) ?? targeted[0];
+        for (const entry of members) {
+            entry.target = entry === nestedKeep;
+        }
     }
 
-    if (identifiers.length > 0) {
-        const handled = await tryBulkToggleWithPromptManager(enabled, identifiers);
+    const changes = entries
+        .filter((entry) => entry.identifier)
+        .map((entry) => [entry.identifier, entry.target]);
+
+    if (changes.length > 0) {
+        const handled = await tryBulkApplyWithPromptManager(changes);
         if (handled) return;
     }
 
     // 兜底：逐个触发
-    for (const item of groupItems) {
-        const $item = $(item);
-        const $toggle = $item.find('.prompt-manager-toggle-action');
+    for (const entry of entries) {
+        if (entry.isEnabled !== entry.target) {
+            entry.$toggle.trigger('click');
+        }
+    }
+}
 
-        if (!$toggle.length) continue;
+/**
+ * 批量设置条目启用状态（用于应用开关方案）
+ * @param {Array} changes - [标识符, 是否启用] 列表
+ * @returns {Promise<number>} - 状态与目标不一致、需要切换的条目数量
+ */
+export async function applyEntryStates(changes) {
+    const $ = getJQuery();
+    if (!Array.isArray(changes) || changes.length === 0) return 0;
 
-        const isCurrentlyEnabled = !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+    const pending = changes.filter(([identifier, enabled]) => {
+        const $toggle = $(`li[data-pm-identifier="${CSS.escape(identifier)}"] .prompt-manager-toggle-action`);
+        if (!$toggle.length) return false;
+        const isEnabled = !$toggle.hasClass('disabled') && !$toggle.hasClass('fa-toggle-off');
+        return isEnabled !== enabled;
+    });
+    if (pending.length === 0) return 0;
 
-        if (isCurrentlyEnabled !== enabled) {
-            $toggle.trigger('click');
+    const handled = await tryBulkApplyWithPromptManager(pending);
+    if (!handled) {
+        // 兜底：逐个触发
+        for (const [identifier] of pending) {
+            $(`li[data-pm-identifier="${CSS.escape(identifier)}"] .prompt-manager-toggle-action`).trigger('click');
         }
     }
+
+    return pending.length;
 }
 
 /**
- * 尝试使用 PromptManager 批量切换
- * @param {boolean} enabled - 是否启用
- * @param {Array} identifiers - 条目标识符列表
+ * 单选分组的条目被启用后，禁用同组的其他条目
+ * @param {string} identifier - 刚切换的条目标识符
+ * @param {Array} rangeIdentifiers - 单选分组范围内的全部标识符
+ * @returns {Promise<boolean>} - 是否禁用了其他条目
+ */
+export async function enforceExclusiveSelection(identifier, rangeIdentifiers) {
+    try {
+        const mod = await import('/scripts/openai.js');
+        const promptManager = mod?.promptManager;
+        const activeCharacter = promptManager?.activeCharacter;
+        if (!activeCharacter || typeof promptManager.getPromptOrderEntry !== 'function') return false;
+
+        if (!promptManager.getPromptOrderEntry(activeCharacter, identifier)?.enabled) return false;
+
+        const others = rangeIdentifiers.filter((other) => {
+            return other !== identifier && promptManager.getPromptOrderEntry(activeCharacter, other)?.enabled;
+        });
+        if (others.length === 0) return false;
+
+        return await tryBulkApplyWithPromptManager(others.map((other) => [other, false]));
+    } catch (error) {
+        console.warn('[ST-Grouping] Failed to enforce exclusive group:', error);
+        return false;
+    }
+}
+
+/**
+ * 尝试使用 PromptManager 批量设置启用状态
+ * @param {Array} changes - [标识符, 是否启用] 列表
  * @returns {Promise<boolean>} - 是否成功处理
  */
-async function tryBulkToggleWithPromptManager(enabled, identifiers) {
-    if (!Array.isArray(identifiers) || identifiers.length === 0) return false;
+async function tryBulkApplyWithPromptManager(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) return false;
 
     try {
         const mod = await import('/scripts/openai.js');
@@ -165,7 +267,7 @@ async function tryBulkToggleWithPromptManager(enabled, identifiers) {
         const counts = promptManager.tokenHandler?.getCounts?.();
         let changed = false;
 
-        for (const identifier of identifiers) {
+        for (const [identifier, enabled] of changes) {
             const entry = promptManager.getPromptOrderEntry(activeCharacter, identifier);
             if (!entry || entry.enabled === enabled) continue;
             entry.enabled = enabled;
@@ -0,0 +1,161 @@
+// ST-Grouping - 撤销/重做历史
+// 世界书分组和提示词分组各自维护历史栈，每条记录提供 undo/redo 操作
+
+import { getJQuery, escapeHtml } from './utils.js';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * 创建撤销/重做历史栈
+ * @param {Object} [options] - 选项
+ * @param {number} [options.limit=50] - 最多保留的记录数
+ * @param {Function} [options.onChange] - 栈变化时的回调（用于更新按钮状态）
+ * @returns {Object} - 历史栈
+ */
+export function createUndoHistory({ limit = DEFAULT_LIMIT, onChange } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+    let busy = false;
+
+    const notify = () => {
+        try {
+            onChange?.();
+        } catch { }
+    };
+
+    // 执行一条记录的 undo/redo，失败时丢弃该记录（数据状态已不确定）
+    const replay = async (from, to, method, expected) => {
+        if (busy || from.length === 0) return null;
+        if (expected && from[from.length - 1] !== expected) return null;
+
+        busy = true;
+        const entry = from.pop();
+        try {
+            await entry[method]();
+            to.push(entry);
+            return entry;
+        } catch (error) {
+            console.error(`[ST-Grouping] ${method} 失败:`, error);
+            if (window.toastr) toastr.error(`无法${method === 'undo' ? '撤销' : '重做'}：${entry.label}`);
+            return null;
+        } finally {
+            busy = false;
+            notify();
+        }
+    };
+
+    return {
+        /**
+         * 记录一次操作，清空重做栈
+         * @param {{label: string, undo: Function, redo: Function}} entry - 历史记录
+         */
+        push(entry) {
+            undoStack.push(entry);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+            notify();
+            return entry;
+        },
+        /**
+         * 撤销最近的操作
+         * @param {Object} [expected] - 只有最近的操作是该记录时才撤销（用于提示中的撤销按钮）
+         */
+        undo(expected) {
+            return replay(undoStack, redoStack, 'undo', expected);
+        },
+        redo() {
+            return replay(redoStack, undoStack, 'redo');
+        },
+        peekUndo: () => undoStack[undoStack.length - 1] ?? null,
+        peekRedo: () => redoStack[redoStack.length - 1] ?? null,
+        isBusy: () => busy,
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            notify();
+        },
+    };
+}
+
+/**
+ * 更新撤销/重做按钮的可用状态和提示
+ * @param {jQuery} $undoBtn - 撤销按钮
+ * @param {jQuery} $redoBtn - 重做按钮
+ * @param {Object|null} history - 历史栈
+ */
+export function updateUndoButtons($undoBtn, $redoBtn, history) {
+    const undoEntry = history?.peekUndo() ?? null;
+    const redoEntry = history?.peekRedo() ?? null;
+
+    $undoBtn.toggleClass('disabled', !undoEntry)
+        .attr('title', undoEntry ? `撤销：${undoEntry.label} (Ctrl+Z)` : '没有可撤销的操作');
+    $redoBtn.toggleClass('disabled', !redoEntry)
+        .attr('title', redoEntry ? `重做：${redoEntry.label} (Ctrl+Shift+Z)` : '没有可重做的操作');
+}
+
+/**
+ * 显示带撤销操作的提示
+ * @param {string} message - 提示内容
+ * @param {Function} onUndo - 点击提示时执行的撤销
+ */
+export function showUndoToast(message, onUndo) {
+    if (!window.toastr) return;
+    toastr.info(`${escapeHtml(message)}<br><small>点击此处撤销</small>`, '', {
+        timeOut: 8000,
+        extendedTimeOut: 4000,
+        escapeHtml: false,
+        onclick: onUndo,
+    });
+}
+
+/**
+ * 判断事件目标是否为文本输入控件（保留浏览器自带的文本撤销）
+ * @param {Element} target - 事件目标
+ * @returns {boolean}
+ */
+function isTextInputTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName;
+    return tag === 'TEXTAREA' || tag === 'SELECT' || (tag === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type));
+}
+
+/**
+ * 在指定区域获得焦点时绑定 Ctrl+Z / Ctrl+Shift+Z（以及 Ctrl+Y）
+ * 最后一次点击或聚焦发生在区域内即视为该区域处于焦点
+ * @param {string} namespace - 事件命名空间
+ * @param {string} scopeSelector - 区域选择器
+ * @param {Object} handlers - { undo: Function, redo: Function }
+ */
+export function bindUndoShortcuts(namespace, scopeSelector, { undo, redo }) {
+    const $ = getJQuery();
+    let scopeActive = false;
+
+    $(document)
+        .off(`.${namespace}`)
+        .on(`pointerdown.${namespace} focusin.${namespace}`, (e) => {
+            scopeActive = $(e.target).closest(scopeSelector).length > 0;
+        })
+        .on(`keydown.${namespace}`, (e) => {
+            if (!scopeActive || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (isTextInputTarget(e.target)) return;
+            if (!$(scopeSelector).is(':visible')) return;
+
+            const key = String(e.key).toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        });
+}
+
+/**
+ * 解绑撤销/重做快捷键
+ * @param {string} namespace - 事件命名空间
+ */
+export function unbindUndoShortcuts(namespace) {
+    getJQuery()(document).off(`.${namespace}`);
+}
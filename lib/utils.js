@@ -128,3 +128,153 @@ export function generateUUID() {
         return v.toString(16);
     });
 }
+
+/**
+ * 将数据保存为 JSON 文件下载
+ * @param {Object} data - 要保存的数据
+ * @param {string} fileName - 文件名
+ */
+export function downloadJsonFile(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName.replace(/[\\/:*?"<>|]/g, '_');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 检查是否为普通对象（不含数组）
+ * @param {*} value - 值
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 让用户选择并读取一个 JSON 文件
+ * @returns {Promise<Object|null>} - 解析后的数据，取消选择时为 null
+ */
+export function pickJsonFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        let settled = false;
+        const finish = (value) => {
+            if (settled) return;
+            settled = true;
+            window.removeEventListener('focus', onFocus);
+            resolve(value);
+        };
+        // 不支持 cancel 事件的浏览器：文件对话框关闭后窗口重新获得焦点，稍等 change 事件仍未选择文件则视为取消
+        const onFocus = () => setTimeout(() => {
+            if (!input.files?.length) finish(null);
+        }, 500);
+
+        input.addEventListener('cancel', () => finish(null));
+        input.addEventListener('change', async () => {
+            settled = true;
+            window.removeEventListener('focus', onFocus);
+            const file = input.files?.[0];
+            if (!file) return resolve(null);
+            try {
+                resolve(JSON.parse(await file.text()));
+            } catch (error) {
+                reject(new Error(`无法解析文件 "${file.name}": ${error.message}`));
+            }
+        });
+        window.addEventListener('focus', onFocus);
+        input.click();
+    });
+}
+
+/**
+ * 把逗号或换行分隔的文本拆分为去重的列表
+ * @param {string} text - 输入文本
+ * @returns {Array<string>} - 列表
+ */
+export function parseBindingList(text) {
+    return [...new Set(String(text ?? '').split(/[,，\n]/).map((item) => item.trim()).filter(Boolean))];
+}
+
+/**
+ * 规范化分组的聊天绑定规则
+ * @param {*} bindings - 原始绑定 { characters: [], tags: [] }
+ * @returns {Object|null} - 规范化后的绑定，没有任何规则时为 null
+ */
+export function normalizeBindings(bindings) {
+    if (!bindings || typeof bindings !== 'object') return null;
+
+    const readList = (value) => Array.isArray(value) ? parseBindingList(value.join('\n')) : parseBindingList(value);
+    const characters = readList(bindings.characters);
+    const tags = readList(bindings.tags);
+    if (characters.length === 0 && tags.length === 0) return null;
+
+    return { characters, tags };
+}
+
+/**
+ * 获取当前聊天的角色名称和标签（群聊包含所有成员）
+ * @returns {{characters: Array<string>, tags: Array<string>}|null} - 未打开角色或群聊时为 null
+ */
+export function getActiveChatBindingInfo() {
+    const context = getSillyTavernContext();
+    const characters = context.characters ?? [];
+    const tags = context.tags ?? [];
+    const tagMap = context.tagMap ?? {};
+
+    let members = [];
+    const tagKeys = [];
+    if (context.groupId) {
+        const group = (context.groups ?? []).find((g) => g.id === context.groupId);
+        members = (group?.members ?? []).map((avatar) => characters.find((c) => c.avatar === avatar)).filter(Boolean);
+        tagKeys.push(context.groupId);
+    } else if (context.characterId !== undefined && characters[context.characterId]) {
+        members = [characters[context.characterId]];
+    }
+    if (members.length === 0) return null;
+
+    tagKeys.push(...members.map((c) => c.avatar));
+    const tagNames = new Set();
+    for (const key of tagKeys) {
+        for (const tagId of tagMap[key] ?? []) {
+            const tag = tags.find((t) => t.id === tagId);
+            if (tag) tagNames.add(tag.name);
+        }
+    }
+
+    return { characters: members.map((c) => c.name), tags: [...tagNames] };
+}
+
+/**
+ * 检查绑定规则是否匹配当前聊天（角色名称或标签任一匹配，不区分大小写）
+ * @param {Object} bindings - 规范化后的绑定
+ * @param {Object} info - getActiveChatBindingInfo 的结果
+ * @returns {boolean} - 是否匹配
+ */
+export function matchesBindings(bindings, info) {
+    const lower = (list) => new Set(list.map((item) => item.toLowerCase()));
+    const characters = lower(info.characters);
+    const tags = lower(info.tags);
+    return bindings.characters.some((name) => characters.has(name.toLowerCase()))
+        || bindings.tags.some((tag) => tags.has(tag.toLowerCase()));
+}
+
+/**
+ * 描述绑定规则
+ * @param {Object|null} bindings - 规范化后的绑定
+ * @returns {string} - 描述文本
+ */
+export function describeBindings(bindings) {
+    if (!bindings) return '';
+    const parts = [];
+    if (bindings.characters.length) parts.push(`角色: ${bindings.characters.join(', ')}`);
+    if (bindings.tags.length) parts.push(`标签: ${bindings.tags.join(', ')}`);
+    return parts.join('；');
+}
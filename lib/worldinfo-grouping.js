@@ -7,18 +7,45 @@
  * - 将条目分配到分组
  * - 折叠/展开分组
  * - 自动清理孤立引用
+ * - 分组数据随世界书文件保存（extensions.st_grouping）
+ * - 分组布局导入/导出
+ * - 单选分组（同时只启用一个条目）
+ * - 启用状态快照
+ * - 斜杠命令（/wigroup-toggle、/wigroup-list、/wigroup-add）
+ * - 按角色/标签绑定，切换聊天时自动启用/禁用分组
+ * - 撤销/重做分组操作（Ctrl+Z / Ctrl+Shift+Z）
+ * - 多选模式：批量移入/移出分组
+ * - 通过条目把手拖拽到分组（支持触摸）
+ * - 分组内条目排序，可写回条目的插入顺序
+ * - 按注释/关键词/内容筛选条目，临时展开匹配的分组
  */
 
+import {
+    downloadJsonFile,
+    pickJsonFile,
+    parseBindingList,
+    normalizeBindings,
+    getActiveChatBindingInfo,
+    matchesBindings,
+    describeBindings,
+    isPlainObject,
+} from './utils.js';
+import { createUndoHistory, updateUndoButtons, showUndoToast, bindUndoShortcuts } from './undo-history.js';
+
 const MODULE_NAME = 'worldinfo_groups';
 
+// 世界书数据中存放分组信息的字段名: worldData.extensions[DATA_KEY]
+const DATA_KEY = 'st_grouping';
+
 // 获取SillyTavern上下文
 const getContext = () => SillyTavern.getContext();
 
 // 默认设置
 const defaultSettings = Object.freeze({
     enabled: true,
-    // 按世界书名称存储分组数据
+    // 旧版存储：按世界书名称存储分组数据
     // worldbooks: { "bookName": { groups: { "groupId": { name, collapsed, entries: [] } } } }
+    // 现已迁移到世界书文件内，这里仅作为尚未迁移的世界书的回退读取
     worldbooks: {}
 });
 
@@ -50,324 +77,1915 @@ function saveSettings() {
     saveSettingsDebounced();
 }
 
-// 防抖保存折叠状态（避免频繁保存）
-let collapseDebounceTimer = null;
-function saveCollapseState() {
-    if (collapseDebounceTimer) {
-        clearTimeout(collapseDebounceTimer);
-    }
-    collapseDebounceTimer = setTimeout(() => {
-        saveSettings();
-        collapseDebounceTimer = null;
-    }, 500);
-}
+// ==================== 世界书内分组存储 ====================
+
+// 已加载的分组记录: worldName -> { groups, groupOrder, snapshots, updatedAt }
+// 会话内以此为准，写入时同步到世界书文件
+const worldRecords = new Map();
+
+// 等待写入世界书文件的定时器: worldName -> timer
+const pendingWorldSaves = new Map();
 
 /**
- * 生成UUID
+ * 创建空的分组记录
  */
-function generateId() {
-    const { uuidv4 } = getContext();
-    return uuidv4();
+function createEmptyRecord() {
+    return { groups: {}, groupOrder: [], snapshots: [], updatedAt: 0 };
 }
 
 /**
- * 获取当前世界书的分组数据
- * @param {string} worldName 世界书名称
+ * 规范化分组记录（兼容旧数据）
+ * @param {object} record 分组记录
  */
-function getWorldGroups(worldName) {
-    const settings = getSettings();
+function normalizeRecord(record) {
+    if (!record || typeof record !== 'object') return createEmptyRecord();
+    if (!record.groups || typeof record.groups !== 'object') record.groups = {};
+    if (!Array.isArray(record.groupOrder)) record.groupOrder = Object.keys(record.groups);
+    if (!Array.isArray(record.snapshots)) record.snapshots = [];
+    if (typeof record.updatedAt !== 'number') record.updatedAt = 0;
+    return record;
+}
 
-    if (!settings.worldbooks[worldName]) {
-        settings.worldbooks[worldName] = { groups: {}, groupOrder: [] };
-    }
+/**
+ * 读取世界书数据内嵌的分组记录
+ * @param {object} worldData 世界书数据
+ */
+function readEmbeddedRecord(worldData) {
+    const record = worldData?.extensions?.[DATA_KEY];
+    if (!record || typeof record !== 'object') return null;
+    return normalizeRecord(structuredClone(record));
+}
 
-    // 兼容旧数据：确保 groupOrder 存在
-    if (!settings.worldbooks[worldName].groupOrder) {
-        settings.worldbooks[worldName].groupOrder = Object.keys(settings.worldbooks[worldName].groups);
+/**
+ * 将分组记录写入世界书数据
+ * @param {object} worldData 世界书数据
+ * @param {object} record 分组记录
+ */
+function writeEmbeddedRecord(worldData, record) {
+    if (!worldData.extensions || typeof worldData.extensions !== 'object') {
+        worldData.extensions = {};
     }
-
-    return settings.worldbooks[worldName].groups;
+    worldData.extensions[DATA_KEY] = structuredClone(record);
 }
 
 /**
- * 获取分组顺序
+ * 获取世界书的分组记录
+ * 已加载的世界书使用内嵌数据，否则回退到旧版 extensionSettings
  * @param {string} worldName 世界书名称
  */
-function getGroupOrder(worldName) {
-    const settings = getSettings();
+function getWorldRecord(worldName) {
+    if (worldRecords.has(worldName)) {
+        return worldRecords.get(worldName);
+    }
 
+    const settings = getSettings();
     if (!settings.worldbooks[worldName]) {
         settings.worldbooks[worldName] = { groups: {}, groupOrder: [] };
     }
 
-    // 兼容旧数据
-    if (!settings.worldbooks[worldName].groupOrder) {
-        settings.worldbooks[worldName].groupOrder = Object.keys(settings.worldbooks[worldName].groups);
-    }
-
-    // 清理不存在的分组ID
-    const groups = settings.worldbooks[worldName].groups;
-    settings.worldbooks[worldName].groupOrder = settings.worldbooks[worldName].groupOrder.filter(id => groups[id]);
-
-    // 添加新分组到顺序中
-    for (const groupId of Object.keys(groups)) {
-        if (!settings.worldbooks[worldName].groupOrder.includes(groupId)) {
-            settings.worldbooks[worldName].groupOrder.push(groupId);
-        }
-    }
-
-    return settings.worldbooks[worldName].groupOrder;
+    return normalizeRecord(settings.worldbooks[worldName]);
 }
 
 /**
- * 设置分组顺序
+ * 保存世界书的分组数据
  * @param {string} worldName 世界书名称
- * @param {string[]} order 分组ID顺序数组
+ * @param {number} delay 延迟写入（毫秒），用于合并频繁的小改动
  */
-function setGroupOrder(worldName, order) {
-    const settings = getSettings();
+function saveWorldGroups(worldName, delay = 0) {
+    const record = worldRecords.get(worldName);
 
-    if (settings.worldbooks[worldName]) {
-        settings.worldbooks[worldName].groupOrder = order;
+    // 未加载的世界书仍写回旧版设置
+    if (!record) {
         saveSettings();
-        return true;
+        return;
     }
 
-    return false;
+    record.updatedAt = Date.now();
+
+    clearTimeout(pendingWorldSaves.get(worldName));
+    pendingWorldSaves.set(worldName, setTimeout(async () => {
+        pendingWorldSaves.delete(worldName);
+        try {
+            await flushWorldGroups(worldName);
+        } catch (error) {
+            console.error(`[ST-Grouping] Failed to save groups into "${worldName}":`, error);
+            toastr.error('分组数据保存失败: ' + error.message);
+        }
+    }, delay));
 }
 
 /**
- * 将条目添加到分组
+ * 立即将分组记录写入世界书文件
+ * 优先写入编辑器持有的数据对象，否则基于最新的世界书数据写入，避免覆盖编辑器中尚未保存的条目修改
  * @param {string} worldName 世界书名称
- * @param {string} groupId 分组ID
- * @param {number|string} entryUid 条目UID
  */
-function addEntryToGroup(worldName, groupId, entryUid) {
-    const groups = getWorldGroups(worldName);
-    const uid = Number(entryUid);
+async function flushWorldGroups(worldName) {
+    const record = worldRecords.get(worldName);
+    if (!record) return;
 
-    // 先从其他分组中移除
-    for (const gid in groups) {
-        const idx = groups[gid].entries.findIndex(u => uidMatch(u, uid));
-        if (idx !== -1) {
-            groups[gid].entries.splice(idx, 1);
-        }
-    }
+    const worldData = await getWritableWorldData(worldName);
+    if (!worldData) return;
 
-    // 添加到目标分组
-    if (groups[groupId] && !isEntryInGroup(groups[groupId].entries, uid)) {
-        groups[groupId].entries.push(uid);
-        saveSettings();
-        console.log(`[ST-Grouping] Added entry ${uid} to group`);
-        return true;
+    refreshFingerprints(record, worldData);
+    writeEmbeddedRecord(worldData, record);
+    if (worldName === currentWorldName && currentWorldData && currentWorldData !== worldData) {
+        writeEmbeddedRecord(currentWorldData, record);
     }
 
-    return false;
+    const { saveWorldInfo } = getContext();
+    await saveWorldInfo(worldName, worldData, true);
 }
 
 /**
- * 从分组中移除条目
+ * 对齐世界书数据与会话内的分组记录
+ * 编辑器保存条目时使用的是它自己的数据副本，其中的分组信息可能已过期；
+ * 此时把会话内的记录写回该副本并重新保存
  * @param {string} worldName 世界书名称
- * @param {number|string} entryUid 条目UID
+ * @param {object} worldData 世界书数据
  */
-function removeEntryFromGroup(worldName, entryUid) {
-    const groups = getWorldGroups(worldName);
-    const uid = Number(entryUid);
+async function reconcileWorldRecord(worldName, worldData) {
+    const record = worldRecords.get(worldName);
+    const embedded = readEmbeddedRecord(worldData);
 
-    for (const groupId in groups) {
-        const idx = groups[groupId].entries.findIndex(u => uidMatch(u, uid));
-        if (idx !== -1) {
-            groups[groupId].entries.splice(idx, 1);
-            saveSettings();
-            console.log(`[ST-Grouping] Removed entry ${uid} from group`);
-            return true;
-        }
+    if (!record) {
+        worldRecords.set(worldName, embedded ?? await migrateLegacyRecord(worldName));
+        return;
     }
 
-    return false;
+    // 文件中的数据更新（例如导入了新版本的世界书）
+    if (embedded && embedded.updatedAt > record.updatedAt) {
+        worldRecords.set(worldName, embedded);
+        return;
+    }
+
+    // 从未修改过分组的世界书不写入空记录
+    if (!embedded && record.updatedAt === 0) return;
+
+    // 分组条目的注释/关键词有变化时更新指纹，用于识别重命名和复制
+    refreshFingerprints(record, worldData);
+
+    if (!embedded || JSON.stringify(embedded) !== JSON.stringify(record)) {
+        writeEmbeddedRecord(worldData, record);
+        if (!pendingWorldSaves.has(worldName)) {
+            await flushWorldGroups(worldName);
+        }
+    }
 }
 
 /**
- * 创建新分组
+ * 一次性迁移：将旧版 extensionSettings 中的分组数据写入世界书文件
+ * 写入成功后才删除旧数据，失败时保留以便回退读取
  * @param {string} worldName 世界书名称
- * @param {string} groupName 分组名称
  */
-function createGroup(worldName, groupName) {
-    const groups = getWorldGroups(worldName);
-    const groupId = generateId();
+async function migrateLegacyRecord(worldName) {
+    const settings = getSettings();
+    const legacy = settings.worldbooks[worldName];
+    if (!legacy) return createEmptyRecord();
 
-    groups[groupId] = {
-        name: groupName,
-        collapsed: false,
-        entries: []
-    };
+    const record = normalizeRecord(structuredClone(legacy));
+    if (Object.keys(record.groups).length === 0) {
+        delete settings.worldbooks[worldName];
+        saveSettings();
+        return record;
+    }
 
-    saveSettings();
-    console.log(`[ST-Grouping] Created group "${groupName}" in "${worldName}"`);
+    record.updatedAt = Date.now();
+    worldRecords.set(worldName, record);
 
-    return groupId;
+    try {
+        await flushWorldGroups(worldName);
+        delete settings.worldbooks[worldName];
+        saveSettings();
+        console.log(`[ST-Grouping] Migrated groups of "${worldName}" into the world info file`);
+    } catch (error) {
+        console.error(`[ST-Grouping] Failed to migrate groups of "${worldName}":`, error);
+    }
+
+    return record;
 }
 
+// ==================== 条目批量修改 ====================
+
+// 编辑器持有的世界书数据对象（从编辑器的保存事件中获取）
+// 编辑器的条目控件直接读写该对象，批量修改写入它才能与编辑器保持一致
+let editorWorldData = null;
+
+// 本模块自行加载并保存的数据对象，用于区分编辑器的保存事件
+const ownSavedData = new WeakSet();
+
+// 尚未同步到编辑器数据对象的条目修改: uid -> { field: { from, to } }
+let pendingEntryPatches = {};
+
 /**
- * 删除分组
+ * 获取用于写入的世界书数据
+ * 当前世界书优先使用编辑器的数据对象，否则加载最新数据
  * @param {string} worldName 世界书名称
- * @param {string} groupId 分组ID
  */
-function deleteGroup(worldName, groupId) {
-    const groups = getWorldGroups(worldName);
-
-    if (groups[groupId]) {
-        const groupName = groups[groupId].name;
-        delete groups[groupId];
-        saveSettings();
-        console.log(`[ST-Grouping] Deleted group "${groupName}" from "${worldName}"`);
-        return true;
+async function getWritableWorldData(worldName) {
+    if (worldName === currentWorldName && editorWorldData) {
+        return editorWorldData;
     }
 
-    return false;
+    const { loadWorldInfo } = getContext();
+    const worldData = await loadWorldInfo(worldName);
+    if (worldData) ownSavedData.add(worldData);
+    return worldData;
 }
 
 /**
- * 重命名分组
+ * 记录编辑器的数据对象，并补上它错过的批量修改
+ * 补丁只在字段仍为修改前的值时生效，用户之后在编辑器里做的修改优先
  * @param {string} worldName 世界书名称
- * @param {string} groupId 分组ID
- * @param {string} newName 新名称
+ * @param {object} worldData 编辑器保存的数据
  */
-function renameGroup(worldName, groupId, newName) {
-    const groups = getWorldGroups(worldName);
+async function adoptEditorWorldData(worldName, worldData) {
+    editorWorldData = worldData;
 
-    if (groups[groupId]) {
-        groups[groupId].name = newName;
-        saveSettings();
-        return true;
+    const patches = pendingEntryPatches;
+    pendingEntryPatches = {};
+
+    let patched = false;
+    for (const [uid, fields] of Object.entries(patches)) {
+        const entry = worldData.entries?.[uid];
+        if (!entry) continue;
+
+        for (const [field, { from, to }] of Object.entries(fields)) {
+            if (entry[field] === from && from !== to) {
+                entry[field] = to;
+                patched = true;
+            }
+        }
     }
 
-    return false;
+    if (patched) {
+        const { saveWorldInfo } = getContext();
+        await saveWorldInfo(worldName, worldData, true);
+    }
 }
 
 /**
- * 切换分组折叠状态
+ * 批量修改世界书条目字段，只保存一次
  * @param {string} worldName 世界书名称
- * @param {string} groupId 分组ID
+ * @param {Object<string, object>} changes 条目修改: uid -> { field: value }
+ * @param {object|null} transaction 记录修改的撤销操作（由 withHistory 传入）
+ * @returns {Promise<number>} 实际发生变化的条目数量
  */
-function toggleGroupCollapse(worldName, groupId) {
-    const groups = getWorldGroups(worldName);
+async function applyEntryChanges(worldName, changes, transaction = null) {
+    const isCurrent = worldName === currentWorldName;
+    const useEditorData = isCurrent && !!editorWorldData;
+    const worldData = await getWritableWorldData(worldName);
+    if (!worldData?.entries) return 0;
+
+    let changedCount = 0;
+    for (const [uid, fields] of Object.entries(changes)) {
+        const entry = worldData.entries[uid];
+        if (!entry) continue;
+
+        let changed = false;
+        for (const [field, value] of Object.entries(fields)) {
+            if (entry[field] === value) continue;
+
+            recordHistoryEntryChange(transaction, worldName, uid, field, entry[field], value);
+
+            // 编辑器数据对象尚未获取时，记录补丁以便之后同步
+            if (isCurrent && !useEditorData) {
+                const patch = (pendingEntryPatches[uid] ??= {});
+                patch[field] = { from: patch[field]?.from ?? entry[field], to: value };
+            }
 
-    if (groups[groupId]) {
-        groups[groupId].collapsed = !groups[groupId].collapsed;
-        saveCollapseState(); // 使用防抖保存
-        return groups[groupId].collapsed;
+            entry[field] = value;
+            if (isCurrent && currentWorldData?.entries?.[uid] && currentWorldData !== worldData) {
+                currentWorldData.entries[uid][field] = value;
+            }
+            changed = true;
+        }
+
+        if (changed) changedCount++;
     }
 
-    return false;
+    if (changedCount === 0) return 0;
+
+    const record = worldRecords.get(worldName);
+    if (record) writeEmbeddedRecord(worldData, record);
+
+    const { saveWorldInfo } = getContext();
+    await saveWorldInfo(worldName, worldData, true);
+
+    if (isCurrent) {
+        syncEntryControls(changes);
+    }
+
+    console.log(`[ST-Grouping] Updated ${changedCount} entries in "${worldName}"`);
+    return changedCount;
 }
 
 /**
- * 设置分组的条目
+ * 启用/禁用分组（含子分组）内的所有条目
  * @param {string} worldName 世界书名称
  * @param {string} groupId 分组ID
- * @param {number[]} entryUids 条目UID列表（数字）
+ * @param {boolean} enabled 是否启用
+ * @param {object|null} worldData 世界书数据，用于单选分组保留已启用的条目
+ * @param {object|null} transaction 记录修改的撤销操作
+ * @returns {Promise<number>} 实际切换的条目数量
  */
-function setGroupEntries(worldName, groupId, entryUids) {
-    const groups = getWorldGroups(worldName);
+async function toggleWorldGroupEntries(worldName, groupId, enabled, worldData = currentWorldData, transaction = null) {
+    const changes = {};
+    for (const uid of getGroupTreeEntries(worldName, groupId)) {
+        changes[uid] = { disable: !enabled };
+    }
 
-    if (groups[groupId]) {
-        // 确保保存为数字类型
-        groups[groupId].entries = entryUids.map(uid => Number(uid));
-        saveSettings();
-        console.log(`[ST-Grouping] Set ${entryUids.length} entries for group in "${worldName}"`);
-        return true;
+    // 单选分组（含子树中的单选分组）只保留一个启用的条目
+    if (enabled) {
+        const groups = getWorldGroups(worldName);
+        for (const id of [groupId, ...getDescendantGroupIds(worldName, groupId)]) {
+            if (!isExclusiveGroup(groups[id])) continue;
+
+            const members = getGroupTreeEntries(worldName, id);
+            const keep = members.find(uid => worldData?.entries?.[uid] && !worldData.entries[uid].disable) ?? members[0];
+            for (const uid of members) {
+                changes[uid] = { disable: !uidMatch(uid, keep) };
+            }
+        }
     }
 
-    return false;
+    return applyEntryChanges(worldName, changes, transaction);
 }
 
+// ==================== 单选分组 ====================
+
+const INCLUSIVE_MODE = 'inclusive';
+const EXCLUSIVE_MODE = 'exclusive';
+
 /**
- * 检查UID是否匹配（处理数字/字符串类型差异）
+ * 检查是否为单选分组（同时只能启用一个条目）
+ * @param {object} group 分组数据
  */
-function uidMatch(uid1, uid2) {
-    return String(uid1) === String(uid2);
+function isExclusiveGroup(group) {
+    return group?.mode === EXCLUSIVE_MODE;
 }
 
 /**
- * 检查条目是否在分组中
+ * 设置分组模式
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {string} mode 'inclusive' 或 'exclusive'
  */
-function isEntryInGroup(groupEntries, entryUid) {
-    return groupEntries.some(uid => uidMatch(uid, entryUid));
+function setGroupMode(worldName, groupId, mode) {
+    const groups = getWorldGroups(worldName);
+    if (!groups[groupId]) return false;
+
+    groups[groupId].mode = mode === EXCLUSIVE_MODE ? EXCLUSIVE_MODE : INCLUSIVE_MODE;
+    saveWorldGroups(worldName);
+    return true;
 }
 
 /**
- * 清理孤立引用（条目已删除但仍在分组中）
+ * 启用单选分组中的指定条目，并禁用其余条目
  * @param {string} worldName 世界书名称
- * @param {object} worldData 世界书数据
+ * @param {string} groupId 分组ID
+ * @param {string|number|null} activeUid 要启用的条目UID，为 null 时全部禁用
+ * @param {object|null} transaction 记录修改的撤销操作
+ * @returns {Promise<number>} 实际切换的条目数量
  */
-function cleanOrphanedReferences(worldName, worldData) {
+async function selectExclusiveEntry(worldName, groupId, activeUid, transaction = null) {
+    const changes = {};
+    for (const uid of getGroupTreeEntries(worldName, groupId)) {
+        changes[uid] = { disable: activeUid === null || !uidMatch(uid, activeUid) };
+    }
+    return applyEntryChanges(worldName, changes, transaction);
+}
+
+/**
+ * 检查单选分组，启用了多个条目时只保留一个
+ * 优先保留相比之前状态新启用的条目，否则保留第一个已启用的条目
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 最新的世界书数据
+ * @param {object|null} previousData 之前的世界书数据，用于判断哪个条目是新启用的
+ * @param {object|null} transaction 记录修改的撤销操作
+ * @returns {Promise<number>} 被禁用的条目数量
+ */
+async function enforceExclusiveGroups(worldName, worldData, previousData = null, transaction = null) {
     const groups = getWorldGroups(worldName);
-    const validUids = new Set(Object.keys(worldData.entries || {}).map(String));
-    let cleaned = false;
+    const changes = {};
 
-    for (const groupId in groups) {
-        const group = groups[groupId];
-        const originalLength = group.entries.length;
+    for (const { id } of getGroupTreeList(worldName)) {
+        if (!isExclusiveGroup(groups[id])) continue;
 
-        // 过滤掉不存在的条目
-        group.entries = group.entries.filter(uid => validUids.has(String(uid)));
+        const enabled = getGroupTreeEntries(worldName, id)
+            .filter(uid => worldData.entries?.[uid] && !worldData.entries[uid].disable && !changes[uid]);
+        if (enabled.length <= 1) continue;
 
-        if (group.entries.length !== originalLength) {
-            cleaned = true;
-            console.log(`[ST-Grouping] Cleaned ${originalLength - group.entries.length} orphaned entries from group "${group.name}"`);
+        const keep = enabled.find(uid => previousData?.entries?.[uid]?.disable !== false) ?? enabled[0];
+        for (const uid of enabled) {
+            if (!uidMatch(uid, keep)) changes[uid] = { disable: true };
         }
     }
 
-    if (cleaned) {
-        saveSettings();
-    }
-
-    return cleaned;
+    if (Object.keys(changes).length === 0) return 0;
+    return applyEntryChanges(worldName, changes, transaction);
 }
 
 /**
- * 获取条目所属的分组ID
- * @param {string} worldName 世界书名称
- * @param {string|number} entryUid 条目UID
+ * 同步已渲染条目的控件状态（不重新加载编辑器）
+ * @param {Object<string, object>} changes 条目修改: uid -> { field: value }
  */
-function getEntryGroup(worldName, entryUid) {
-    const groups = getWorldGroups(worldName);
+function syncEntryControls(changes) {
+    const entriesList = $('#world_popup_entries_list');
 
-    for (const groupId in groups) {
-        if (isEntryInGroup(groups[groupId].entries, entryUid)) {
-            return groupId;
+    for (const [uid, fields] of Object.entries(changes)) {
+        const $entry = entriesList.find(`.world_entry[uid="${uid}"]`);
+        if (!$entry.length) continue;
+
+        if (Object.hasOwn(fields, 'disable')) {
+            const isActive = !fields.disable;
+            $entry.find('[name="entryKillSwitch"]')
+                .toggleClass('fa-toggle-on', isActive)
+                .toggleClass('fa-toggle-off', !isActive);
+        }
+
+        if (Object.hasOwn(fields, 'constant') || Object.hasOwn(fields, 'vectorized')) {
+            const entry = currentWorldData?.entries?.[uid];
+            const state = entry?.constant ? 'constant' : entry?.vectorized ? 'vectorized' : 'normal';
+            $entry.find('select[name="entryStateSelector"]').val(state);
+            $entry.attr('data-wi-constant', state === 'constant' ? 'true' : 'false');
+        }
+
+        if (Object.hasOwn(fields, 'position')) {
+            $entry.find('select[name="position"]').val(String(fields.position));
+        }
+
+        for (const field of ['depth', 'order', 'probability']) {
+            if (Object.hasOwn(fields, field)) {
+                $entry.find(`input[name="${field}"]`).val(fields[field]);
+            }
         }
     }
+}
 
-    return null;
+// ==================== 重命名/复制检测 ====================
+
+// 指纹匹配比例达到该值时，视为同一本世界书
+const FINGERPRINT_MATCH_THRESHOLD = 0.8;
+
+/**
+ * 计算条目指纹（注释 + 关键词）
+ * @param {object} entry 世界书条目
+ */
+function getEntryFingerprint(entry) {
+    return `${entry?.comment ?? ''}\u001f${(entry?.key ?? []).join(',')}`;
 }
 
 /**
- * 获取未分组的条目UID列表
- * @param {string} worldName 世界书名称
+ * 更新记录中已分组条目的指纹
+ * @param {object} record 分组记录
  * @param {object} worldData 世界书数据
+ * @returns {boolean} 指纹是否有变化
  */
-function getUngroupedEntries(worldName, worldData) {
-    const groups = getWorldGroups(worldName);
-    const allGroupedUids = new Set();
-
-    for (const groupId in groups) {
-        groups[groupId].entries.forEach(uid => allGroupedUids.add(String(uid)));
+function refreshFingerprints(record, worldData) {
+    const entries = worldData?.entries || {};
+    const fingerprints = {};
+
+    for (const groupId in record.groups) {
+        for (const uid of record.groups[groupId].entries) {
+            if (entries[uid]) {
+                fingerprints[uid] = getEntryFingerprint(entries[uid]);
+            }
+        }
     }
 
-    const allUids = Object.keys(worldData.entries || {});
-    return allUids.filter(uid => !allGroupedUids.has(String(uid)));
+    const changed = JSON.stringify(fingerprints) !== JSON.stringify(record.fingerprints ?? {});
+    record.fingerprints = fingerprints;
+    return changed;
 }
 
-// ==================== UI 渲染 ====================
+/**
+ * 计算分组记录与世界书数据的指纹匹配比例
+ * @param {object} record 分组记录
+ * @param {object} worldData 世界书数据
+ * @returns {number} 0~1
+ */
+function matchRecordToWorld(record, worldData) {
+    const fingerprints = Object.entries(record.fingerprints ?? {});
+    if (fingerprints.length === 0) return 0;
 
-let currentWorldName = null;
-let currentWorldData = null;
-let isRefreshing = false; // 防止重复刷新
+    const entries = worldData?.entries || {};
+    const matched = fingerprints.filter(([uid, fingerprint]) => {
+        return entries[uid] && getEntryFingerprint(entries[uid]) === fingerprint;
+    }).length;
+
+    return matched / fingerprints.length;
+}
 
 /**
- * 注入分组工具栏
+ * 处理未知世界书的保存事件：识别重命名/复制并继承分组
+ * ST 的重命名和复制都作用于编辑器当前的世界书，并以编辑器的数据副本保存新文件，
+ * 该副本中的分组信息可能已过期甚至缺失，因此按内容指纹与当前世界书比对
+ * @param {string} worldName 新世界书名称
+ * @param {object} worldData 新世界书数据
+ * @returns {Promise<boolean>} 是否继承了分组
+ */
+async function adoptRenamedWorld(worldName, worldData) {
+    if (!currentWorldName || currentWorldName === worldName) return false;
+
+    const source = worldRecords.get(currentWorldName);
+    if (!source || Object.keys(source.groups).length === 0) return false;
+
+    const embedded = readEmbeddedRecord(worldData);
+    if (embedded && embedded.updatedAt >= source.updatedAt) return false;
+
+    if (matchRecordToWorld(source, worldData) < FINGERPRINT_MATCH_THRESHOLD) return false;
+
+    const record = structuredClone(source);
+    worldRecords.set(worldName, record);
+    writeEmbeddedRecord(worldData, record);
+    await flushWorldGroups(worldName);
+
+    console.log(`[ST-Grouping] Carried groups from "${currentWorldName}" over to "${worldName}"`);
+    toastr.info(`已将 "${currentWorldName}" 的分组同步到 "${worldName}"`);
+    return true;
+}
+
+/**
+ * 获取孤立的旧版分组数据（对应的世界书已不存在，多为改名前的旧名称）
+ * @returns {string[]} 世界书名称列表
+ */
+function getOrphanedLegacyBooks() {
+    const existingNames = getAllWorldBooks().map(book => book.name);
+    // 世界书列表尚未加载时无法判断
+    if (existingNames.length === 0) return [];
+
+    const settings = getSettings();
+    return Object.keys(settings.worldbooks).filter(name => {
+        const groups = settings.worldbooks[name]?.groups;
+        return !existingNames.includes(name) && groups && Object.keys(groups).length > 0;
+    });
+}
+
+/**
+ * 将孤立的旧版分组数据认领到指定世界书
+ * 只保留在目标世界书中存在的条目，ID 冲突的分组会重新生成 ID
+ * @param {string} worldName 目标世界书名称
+ * @param {object} worldData 目标世界书数据
+ * @param {string} orphanName 孤立数据的世界书名称
+ * @returns {{groups: number, entries: number, dropped: number}|null}
+ */
+function claimOrphanedGroups(worldName, worldData, orphanName) {
+    const settings = getSettings();
+    const legacy = settings.worldbooks[orphanName];
+    if (!legacy) return null;
+
+    const source = normalizeRecord(structuredClone(legacy));
+    const record = getWorldRecord(worldName);
+    const validUids = new Set(Object.keys(worldData.entries || {}).map(String));
+    const result = { groups: 0, entries: 0, dropped: 0 };
+
+    for (const groupId of source.groupOrder) {
+        const group = source.groups[groupId];
+        if (!group) continue;
+
+        const entries = group.entries.filter(uid => validUids.has(String(uid)));
+        const newId = record.groups[groupId] ? generateId() : groupId;
+
+        // 条目只能属于一个分组
+        for (const uid of entries) {
+            removeEntryFromGroup(worldName, uid);
+        }
+
+        record.groups[newId] = { ...group, entries };
+        record.groupOrder.push(newId);
+
+        result.groups++;
+        result.entries += entries.length;
+        result.dropped += group.entries.length - entries.length;
+    }
+
+    delete settings.worldbooks[orphanName];
+    saveSettings();
+    saveWorldGroups(worldName);
+
+    console.log(`[ST-Grouping] Claimed ${result.groups} groups from orphaned "${orphanName}" into "${worldName}"`);
+    return result;
+}
+
+/**
+ * 删除孤立的旧版分组数据
+ * @param {string} orphanName 孤立数据的世界书名称
+ */
+function discardOrphanedGroups(orphanName) {
+    const settings = getSettings();
+    if (!settings.worldbooks[orphanName]) return false;
+
+    delete settings.worldbooks[orphanName];
+    saveSettings();
+    return true;
+}
+
+/**
+ * 加载世界书并同步其分组记录
+ * @param {string} worldName 世界书名称
+ */
+async function loadCurrentWorld(worldName) {
+    const { loadWorldInfo } = getContext();
+
+    currentWorldName = worldName;
+    currentWorldData = await loadWorldInfo(worldName);
+
+    if (currentWorldData) {
+        await reconcileWorldRecord(worldName, currentWorldData);
+    }
+}
+
+// 防抖保存折叠状态（避免频繁保存）
+function saveCollapseState(worldName) {
+    saveWorldGroups(worldName, 500);
+}
+
+/**
+ * 生成UUID
+ */
+function generateId() {
+    const { uuidv4 } = getContext();
+    return uuidv4();
+}
+
+/**
+ * 获取当前世界书的分组数据
+ * @param {string} worldName 世界书名称
+ */
+function getWorldGroups(worldName) {
+    return getWorldRecord(worldName).groups;
+}
+
+/**
+ * 获取分组顺序
+ * @param {string} worldName 世界书名称
+ */
+function getGroupOrder(worldName) {
+    const record = getWorldRecord(worldName);
+    const groups = record.groups;
+
+    // 清理不存在的分组ID
+    record.groupOrder = record.groupOrder.filter(id => groups[id]);
+
+    // 添加新分组到顺序中
+    for (const groupId of Object.keys(groups)) {
+        if (!record.groupOrder.includes(groupId)) {
+            record.groupOrder.push(groupId);
+        }
+    }
+
+    return record.groupOrder;
+}
+
+/**
+ * 设置分组顺序
+ * @param {string} worldName 世界书名称
+ * @param {string[]} order 分组ID顺序数组
+ */
+function setGroupOrder(worldName, order) {
+    const record = getWorldRecord(worldName);
+    record.groupOrder = order;
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 将条目添加到分组
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {number|string} entryUid 条目UID
+ */
+function addEntryToGroup(worldName, groupId, entryUid) {
+    const groups = getWorldGroups(worldName);
+    const uid = Number(entryUid);
+
+    // 智能分组的成员由规则决定，不能手动添加
+    if (isSmartGroup(groups[groupId])) return false;
+
+    // 先从其他分组中移除
+    for (const gid in groups) {
+        const idx = groups[gid].entries.findIndex(u => uidMatch(u, uid));
+        if (idx !== -1) {
+            groups[gid].entries.splice(idx, 1);
+        }
+    }
+
+    // 添加到目标分组
+    if (groups[groupId] && !isEntryInGroup(groups[groupId].entries, uid)) {
+        groups[groupId].entries.push(uid);
+        saveWorldGroups(worldName);
+        console.log(`[ST-Grouping] Added entry ${uid} to group`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * 从分组中移除条目
+ * @param {string} worldName 世界书名称
+ * @param {number|string} entryUid 条目UID
+ */
+function removeEntryFromGroup(worldName, entryUid) {
+    const groups = getWorldGroups(worldName);
+    const uid = Number(entryUid);
+
+    for (const groupId in groups) {
+        const idx = groups[groupId].entries.findIndex(u => uidMatch(u, uid));
+        if (idx !== -1) {
+            groups[groupId].entries.splice(idx, 1);
+            // 从智能分组移出的条目记为排除，避免下次刷新时被规则重新收入
+            if (isSmartGroup(groups[groupId]) && !isEntryInGroup(groups[groupId].excluded ?? [], uid)) {
+                groups[groupId].excluded = [...(groups[groupId].excluded ?? []), uid];
+            }
+            saveWorldGroups(worldName);
+            console.log(`[ST-Grouping] Removed entry ${uid} from group`);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * 将条目放到分组内的指定位置（会先从其他分组中移除）
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {Array<number|string>} entryUids 条目UID列表（保持给定顺序）
+ * @param {number|string|null} beforeUid 放在该条目之前，null 表示放到末尾
+ */
+function placeEntriesInGroup(worldName, groupId, entryUids, beforeUid = null) {
+    const groups = getWorldGroups(worldName);
+    if (!groups[groupId]) return false;
+
+    const uids = entryUids.map(Number);
+    for (const gid in groups) {
+        groups[gid].entries = groups[gid].entries.filter(u => !isEntryInGroup(uids, u));
+    }
+
+    const entries = groups[groupId].entries;
+    const index = beforeUid == null ? -1 : entries.findIndex(u => uidMatch(u, beforeUid));
+    entries.splice(index === -1 ? entries.length : index, 0, ...uids);
+
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 创建新分组
+ * @param {string} worldName 世界书名称
+ * @param {string} groupName 分组名称
+ * @param {string|null} parentId 父分组ID，null 表示顶层分组
+ */
+function createGroup(worldName, groupName, parentId = null) {
+    const groups = getWorldGroups(worldName);
+    const groupId = generateId();
+
+    groups[groupId] = {
+        name: groupName,
+        collapsed: false,
+        entries: [],
+        parentId: parentId && groups[parentId] ? parentId : null,
+        mode: INCLUSIVE_MODE
+    };
+
+    saveWorldGroups(worldName);
+    console.log(`[ST-Grouping] Created group "${groupName}" in "${worldName}"`);
+
+    return groupId;
+}
+
+/**
+ * 删除分组
+ * 子分组会上移到被删除分组的父级
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ */
+function deleteGroup(worldName, groupId) {
+    const groups = getWorldGroups(worldName);
+
+    if (groups[groupId]) {
+        const groupName = groups[groupId].name;
+        const parentId = getParentGroupId(groups, groupId);
+
+        for (const childId of getChildGroupIds(worldName, groupId)) {
+            groups[childId].parentId = parentId;
+        }
+
+        delete groups[groupId];
+        saveWorldGroups(worldName);
+        console.log(`[ST-Grouping] Deleted group "${groupName}" from "${worldName}"`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * 重命名分组
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {string} newName 新名称
+ */
+function renameGroup(worldName, groupId, newName) {
+    const groups = getWorldGroups(worldName);
+
+    if (groups[groupId]) {
+        groups[groupId].name = newName;
+        saveWorldGroups(worldName);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * 切换分组折叠状态
+ * 折叠时所有子分组一并折叠
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ */
+function toggleGroupCollapse(worldName, groupId) {
+    const groups = getWorldGroups(worldName);
+
+    if (groups[groupId]) {
+        groups[groupId].collapsed = !groups[groupId].collapsed;
+        if (groups[groupId].collapsed) {
+            for (const descendantId of getDescendantGroupIds(worldName, groupId)) {
+                groups[descendantId].collapsed = true;
+            }
+        }
+        saveCollapseState(worldName); // 使用防抖保存
+        return groups[groupId].collapsed;
+    }
+
+    return false;
+}
+
+/**
+ * 设置分组的条目
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {number[]} entryUids 条目UID列表（数字）
+ */
+function setGroupEntries(worldName, groupId, entryUids) {
+    const groups = getWorldGroups(worldName);
+
+    if (groups[groupId]) {
+        // 确保保存为数字类型
+        groups[groupId].entries = entryUids.map(uid => Number(uid));
+        saveWorldGroups(worldName);
+        console.log(`[ST-Grouping] Set ${entryUids.length} entries for group in "${worldName}"`);
+        return true;
+    }
+
+    return false;
+}
+
+// ==================== 分组树 ====================
+
+/**
+ * 获取分组的父分组ID（父分组不存在时视为顶层）
+ * @param {object} groups 分组数据
+ * @param {string} groupId 分组ID
+ */
+function getParentGroupId(groups, groupId) {
+    const parentId = groups[groupId]?.parentId;
+    return parentId && groups[parentId] ? parentId : null;
+}
+
+/**
+ * 获取直接子分组ID（按分组顺序）
+ * @param {string} worldName 世界书名称
+ * @param {string|null} parentId 父分组ID，null 表示顶层
+ */
+function getChildGroupIds(worldName, parentId) {
+    const groups = getWorldGroups(worldName);
+    return getGroupOrder(worldName).filter(id => getParentGroupId(groups, id) === (parentId ?? null));
+}
+
+/**
+ * 获取所有后代分组ID（深度优先）
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ */
+function getDescendantGroupIds(worldName, groupId) {
+    const result = [];
+    for (const childId of getChildGroupIds(worldName, groupId)) {
+        result.push(childId, ...getDescendantGroupIds(worldName, childId));
+    }
+    return result;
+}
+
+/**
+ * 获取分组的祖先链（从顶层到父分组）
+ * @param {object} groups 分组数据
+ * @param {string} groupId 分组ID
+ */
+function getAncestorGroupIds(groups, groupId) {
+    const ancestors = [];
+    let parentId = getParentGroupId(groups, groupId);
+    while (parentId && !ancestors.includes(parentId)) {
+        ancestors.unshift(parentId);
+        parentId = getParentGroupId(groups, parentId);
+    }
+    return ancestors;
+}
+
+/**
+ * 获取分组的完整路径名称，例如 "地点 / 城市 / 街区"
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ */
+function getGroupPath(worldName, groupId) {
+    const groups = getWorldGroups(worldName);
+    return [...getAncestorGroupIds(groups, groupId), groupId]
+        .map(id => groups[id]?.name)
+        .join(' / ');
+}
+
+/**
+ * 获取分组及其所有后代分组中的条目UID
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ */
+function getGroupTreeEntries(worldName, groupId) {
+    const groups = getWorldGroups(worldName);
+    return [groupId, ...getDescendantGroupIds(worldName, groupId)]
+        .flatMap(id => groups[id]?.entries ?? []);
+}
+
+/**
+ * 按树形深度优先顺序列出所有分组
+ * @param {string} worldName 世界书名称
+ * @returns {{id: string, depth: number}[]}
+ */
+function getGroupTreeList(worldName) {
+    const result = [];
+    const walk = (parentId, depth) => {
+        for (const id of getChildGroupIds(worldName, parentId)) {
+            result.push({ id, depth });
+            walk(id, depth + 1);
+        }
+    };
+    walk(null, 0);
+    return result;
+}
+
+/**
+ * 移动分组
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 要移动的分组ID
+ * @param {string|null} targetId 目标分组ID，null 表示移到顶层末尾
+ * @param {'before'|'after'|'inside'} position 相对目标的位置
+ * @returns {boolean} 是否移动成功
+ */
+function moveGroup(worldName, groupId, targetId, position) {
+    const groups = getWorldGroups(worldName);
+    if (!groups[groupId] || groupId === targetId) return false;
+    if (targetId && !groups[targetId]) return false;
+
+    // 不能移动到自己的后代中
+    if (targetId && getDescendantGroupIds(worldName, groupId).includes(targetId)) return false;
+
+    const order = getGroupOrder(worldName).filter(id => id !== groupId);
+
+    if (!targetId) {
+        groups[groupId].parentId = null;
+        order.push(groupId);
+    } else if (position === 'inside') {
+        groups[groupId].parentId = targetId;
+        order.push(groupId);
+    } else {
+        groups[groupId].parentId = getParentGroupId(groups, targetId);
+        const targetIndex = order.indexOf(targetId);
+        order.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, groupId);
+    }
+
+    setGroupOrder(worldName, order);
+    return true;
+}
+
+// ==================== 智能分组 ====================
+
+// 智能分组规则的默认值，空值表示不限制
+// { keyPattern: 关键词正则, commentPrefix: 注释前缀, state: constant|normal|vectorized, position: 插入位置, enabled: enabled|disabled }
+const DEFAULT_SMART_RULES = Object.freeze({
+    keyPattern: '',
+    commentPrefix: '',
+    state: '',
+    position: '',
+    enabled: '',
+});
+
+/**
+ * 是否为智能分组（成员由规则计算）
+ * @param {object} group 分组数据
+ */
+function isSmartGroup(group) {
+    return !!group?.rules;
+}
+
+/**
+ * 规则是否至少设置了一个条件（没有条件的规则不匹配任何条目）
+ * @param {object} rules 规则
+ */
+function hasAnyRule(rules) {
+    return Object.keys(DEFAULT_SMART_RULES).some(key => rules?.[key] !== '' && rules?.[key] != null);
+}
+
+/**
+ * 编译关键词正则，无效时返回 null
+ * @param {string} pattern 正则表达式
+ */
+function compileKeyPattern(pattern) {
+    if (!pattern) return null;
+    try {
+        return new RegExp(pattern, 'i');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 检查条目是否满足规则（所有已设置的条件都需满足）
+ * @param {object} entry 世界书条目
+ * @param {object} rules 规则
+ * @param {RegExp|null} keyRegex 已编译的关键词正则
+ */
+function entryMatchesRules(entry, rules, keyRegex) {
+    if (!hasAnyRule(rules)) return false;
+
+    if (rules.keyPattern) {
+        if (!keyRegex) return false;
+        const keys = [...(entry.key ?? []), ...(entry.keysecondary ?? [])];
+        if (!keys.some(key => keyRegex.test(String(key)))) return false;
+    }
+
+    if (rules.commentPrefix && !String(entry.comment ?? '').trim().startsWith(rules.commentPrefix)) {
+        return false;
+    }
+
+    if (rules.state) {
+        const state = entry.constant ? 'constant' : entry.vectorized ? 'vectorized' : 'normal';
+        if (state !== rules.state) return false;
+    }
+
+    if (rules.position !== '' && rules.position != null && Number(entry.position) !== Number(rules.position)) {
+        return false;
+    }
+
+    if (rules.enabled === 'enabled' && entry.disable) return false;
+    if (rules.enabled === 'disabled' && !entry.disable) return false;
+
+    return true;
+}
+
+/**
+ * 获取满足规则的条目UID（不考虑其他分组）
+ * @param {object} worldData 世界书数据
+ * @param {object} rules 规则
+ * @returns {number[]}
+ */
+function getRuleMatches(worldData, rules) {
+    const keyRegex = compileKeyPattern(rules?.keyPattern);
+    return Object.entries(worldData?.entries || {})
+        .filter(([, entry]) => entryMatchesRules(entry, rules, keyRegex))
+        .map(([uid]) => Number(uid));
+}
+
+/**
+ * 设置分组规则
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {object|null} rules 规则，null 表示转为手动分组（保留当前成员）
+ */
+function setGroupRules(worldName, groupId, rules) {
+    const groups = getWorldGroups(worldName);
+    const group = groups[groupId];
+    if (!group) return false;
+
+    if (rules) {
+        const previous = JSON.stringify(group.rules ?? null);
+        group.rules = { ...DEFAULT_SMART_RULES, ...rules };
+        // 规则变化后重新开始排除
+        if (JSON.stringify(group.rules) !== previous) group.excluded = [];
+    } else {
+        delete group.rules;
+        delete group.excluded;
+    }
+
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 计算所有智能分组的成员
+ * 手动分组中的条目优先；多个智能分组都匹配时，按树形顺序先到先得
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ * @returns {boolean} 成员是否有变化
+ */
+function evaluateSmartGroups(worldName, worldData) {
+    const groups = getWorldGroups(worldName);
+    const treeList = getGroupTreeList(worldName);
+    const claimed = getManualGroupEntryUids(worldName);
+
+    let changed = false;
+    for (const { id } of treeList) {
+        const group = groups[id];
+        if (!isSmartGroup(group)) continue;
+
+        const entries = getSmartGroupMatches(worldData, group.rules, group.excluded, claimed);
+        entries.forEach(uid => claimed.add(String(uid)));
+
+        // 保留已有成员的排列顺序，新匹配的条目排在后面
+        const previousOrder = new Map(group.entries.map((uid, index) => [String(uid), index]));
+        entries.sort((a, b) => (previousOrder.get(String(a)) ?? Infinity) - (previousOrder.get(String(b)) ?? Infinity));
+
+        if (JSON.stringify(entries) !== JSON.stringify(group.entries)) {
+            group.entries = entries;
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        saveWorldGroups(worldName);
+    }
+
+    return changed;
+}
+
+/**
+ * 获取所有手动分组中的条目（智能分组不会再收纳这些条目）
+ * @param {string} worldName 世界书名称
+ * @param {string|null} skipGroupId 不计入的分组 ID
+ */
+function getManualGroupEntryUids(worldName, skipGroupId = null) {
+    const groups = getWorldGroups(worldName);
+    const claimed = new Set();
+    for (const { id } of getGroupTreeList(worldName)) {
+        if (id !== skipGroupId && !isSmartGroup(groups[id])) {
+            groups[id].entries.forEach(uid => claimed.add(String(uid)));
+        }
+    }
+    return claimed;
+}
+
+/**
+ * 获取智能分组实际收纳的条目：规则匹配，且未被排除、未被其他分组占用
+ * @param {object} worldData 世界书数据
+ * @param {object} rules 规则
+ * @param {Array} excludedUids 已排除的条目 UID
+ * @param {Set<string>} claimed 已被其他分组占用的条目 UID
+ */
+function getSmartGroupMatches(worldData, rules, excludedUids, claimed) {
+    const excluded = new Set((excludedUids ?? []).map(String));
+    return getRuleMatches(worldData, rules)
+        .filter(uid => !claimed.has(String(uid)) && !excluded.has(String(uid)));
+}
+
+/**
+ * 生成规则的文字描述
+ * @param {object} rules 规则
+ */
+function describeRules(rules) {
+    const parts = [];
+    if (rules.keyPattern) parts.push(`关键词匹配 /${rules.keyPattern}/`);
+    if (rules.commentPrefix) parts.push(`注释以 "${rules.commentPrefix}" 开头`);
+    if (rules.state) parts.push(`状态为${ENTRY_STATE_OPTIONS[rules.state]?.label ?? rules.state}`);
+    if (rules.position !== '' && rules.position != null) {
+        parts.push(`位置为 ${ENTRY_POSITION_OPTIONS.find(option => option.value === Number(rules.position))?.label ?? rules.position}`);
+    }
+    if (rules.enabled === 'enabled') parts.push('已启用');
+    if (rules.enabled === 'disabled') parts.push('已禁用');
+    return parts.length ? parts.join('，且') : '(未设置条件)';
+}
+
+// ==================== 启用状态快照 ====================
+
+/**
+ * 获取世界书的快照列表
+ * @param {string} worldName 世界书名称
+ */
+function getWorldSnapshots(worldName) {
+    return getWorldRecord(worldName).snapshots;
+}
+
+/**
+ * 读取所有分组内条目的当前启用状态
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ * @returns {Object<string, boolean>} uid -> 是否启用
+ */
+function captureGroupedEntryStates(worldName, worldData) {
+    const groups = getWorldGroups(worldName);
+    const states = {};
+
+    for (const groupId in groups) {
+        for (const uid of groups[groupId].entries) {
+            const entry = worldData?.entries?.[uid];
+            if (entry) states[uid] = !entry.disable;
+        }
+    }
+
+    return states;
+}
+
+/**
+ * 保存快照（同名快照会被覆盖）
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ * @param {string} name 快照名称
+ * @returns {object} 快照
+ */
+function saveSnapshot(worldName, worldData, name) {
+    const snapshots = getWorldSnapshots(worldName);
+    const states = captureGroupedEntryStates(worldName, worldData);
+
+    let snapshot = snapshots.find(item => item.name === name);
+    if (snapshot) {
+        snapshot.states = states;
+        snapshot.createdAt = Date.now();
+    } else {
+        snapshot = { id: generateId(), name, createdAt: Date.now(), states };
+        snapshots.push(snapshot);
+    }
+
+    saveWorldGroups(worldName);
+    console.log(`[ST-Grouping] Saved snapshot "${name}" in "${worldName}"`);
+    return snapshot;
+}
+
+/**
+ * 删除快照
+ * @param {string} worldName 世界书名称
+ * @param {string} snapshotId 快照ID
+ */
+function deleteSnapshot(worldName, snapshotId) {
+    const record = getWorldRecord(worldName);
+    const index = record.snapshots.findIndex(item => item.id === snapshotId);
+    if (index === -1) return false;
+
+    record.snapshots.splice(index, 1);
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 对比当前状态与快照
+ * @param {object} worldData 世界书数据
+ * @param {object} snapshot 快照
+ * @returns {{changes: Array<{uid: string, enabled: boolean}>, missing: number}} 恢复快照需要切换的条目，以及已不存在的条目数量
+ */
+function diffSnapshot(worldData, snapshot) {
+    const result = { changes: [], missing: 0 };
+
+    for (const [uid, enabled] of Object.entries(snapshot.states)) {
+        const entry = worldData?.entries?.[uid];
+        if (!entry) {
+            result.missing++;
+        } else if (!entry.disable !== enabled) {
+            result.changes.push({ uid, enabled });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 恢复快照（只保存一次）
+ * @param {string} worldName 世界书名称
+ * @param {object} snapshot 快照
+ * @param {object|null} transaction 记录修改的撤销操作
+ * @returns {Promise<number>} 实际切换的条目数量
+ */
+async function restoreSnapshot(worldName, snapshot, transaction = null) {
+    const changes = {};
+    for (const [uid, enabled] of Object.entries(snapshot.states)) {
+        changes[uid] = { disable: !enabled };
+    }
+    return applyEntryChanges(worldName, changes, transaction);
+}
+
+// ==================== 撤销/重做 ====================
+
+// 每个世界书的历史栈: worldName -> history
+const worldHistories = new Map();
+
+// 每个世界书排队中的操作：同一世界书的操作依次执行，避免布局快照混入其他操作的修改
+const historyQueues = new Map();
+
+/**
+ * 获取世界书的历史栈
+ * @param {string} worldName 世界书名称
+ */
+function getWorldHistory(worldName) {
+    if (!worldHistories.has(worldName)) {
+        worldHistories.set(worldName, createUndoHistory({
+            onChange: () => {
+                if (worldName === currentWorldName) updateHistoryButtons();
+            },
+        }));
+    }
+    return worldHistories.get(worldName);
+}
+
+/**
+ * 复制分组布局（分组定义和顺序）
+ * @param {string} worldName 世界书名称
+ */
+function captureLayout(worldName) {
+    const record = getWorldRecord(worldName);
+    return { groups: structuredClone(record.groups), groupOrder: [...record.groupOrder] };
+}
+
+/**
+ * 布局比较键，忽略折叠状态
+ * @param {object} layout 分组布局
+ */
+function getLayoutKey(layout) {
+    return JSON.stringify(layout, (key, value) => key === 'collapsed' ? undefined : value);
+}
+
+/**
+ * 还原分组布局，保留当前的折叠状态
+ * @param {string} worldName 世界书名称
+ * @param {object} layout 分组布局
+ */
+function restoreLayout(worldName, layout) {
+    const record = getWorldRecord(worldName);
+    const groups = structuredClone(layout.groups);
+    for (const groupId in groups) {
+        if (record.groups[groupId]) groups[groupId].collapsed = record.groups[groupId].collapsed;
+    }
+
+    record.groups = groups;
+    record.groupOrder = [...layout.groupOrder];
+    saveWorldGroups(worldName);
+}
+
+/**
+ * 记录操作期间的条目字段修改（由 applyEntryChanges 调用）
+ * 只记录到显式传入的操作中，同时进行的其他修改（如聊天绑定）不会混入
+ * @param {object|null} transaction 撤销操作
+ * @param {string} worldName 世界书名称
+ * @param {string} uid 条目UID
+ * @param {string} field 字段名
+ * @param {*} from 修改前的值
+ * @param {*} to 修改后的值
+ */
+function recordHistoryEntryChange(transaction, worldName, uid, field, from, to) {
+    if (transaction?.worldName !== worldName) return;
+
+    const before = (transaction.entriesBefore[uid] ??= {});
+    if (!(field in before)) before[field] = structuredClone(from);
+    (transaction.entriesAfter[uid] ??= {})[field] = structuredClone(to);
+}
+
+/**
+ * 执行一次可撤销的分组操作，记录分组布局和条目字段的变化
+ * 操作会收到 transaction 参数，修改条目时需传给 applyEntryChanges；操作内不能再调用 withHistory
+ * @param {string} worldName 世界书名称
+ * @param {string} label 操作描述
+ * @param {Function} action 操作 (transaction) => *（可为异步）
+ * @param {object} options 选项
+ * @param {boolean} options.toast 是否显示带撤销操作的提示（用于删除等破坏性操作）
+ * @returns {Promise<*>} 操作的返回值
+ */
+function withHistory(worldName, label, action, { toast = false } = {}) {
+    const previous = historyQueues.get(worldName) ?? Promise.resolve();
+
+    const run = previous.then(async () => {
+        const transaction = {
+            worldName,
+            before: captureLayout(worldName),
+            entriesBefore: {},
+            entriesAfter: {},
+        };
+
+        try {
+            return await action(transaction);
+        } finally {
+            commitHistory(transaction, label, toast);
+        }
+    });
+
+    const settled = run.catch(() => { });
+    historyQueues.set(worldName, settled);
+    settled.then(() => {
+        if (historyQueues.get(worldName) === settled) historyQueues.delete(worldName);
+    });
+
+    return run;
+}
+
+/**
+ * 将完成的操作写入历史栈
+ * @param {object} transaction 操作记录
+ * @param {string} label 操作描述
+ * @param {boolean} toast 是否显示带撤销操作的提示
+ */
+function commitHistory(transaction, label, toast) {
+    const { worldName, before, entriesBefore, entriesAfter } = transaction;
+    const after = captureLayout(worldName);
+    const layoutChanged = getLayoutKey(before) !== getLayoutKey(after);
+    const entriesChanged = Object.keys(entriesAfter).length > 0;
+    if (!layoutChanged && !entriesChanged) return;
+
+    const replay = async (layout, entries) => {
+        if (layoutChanged) restoreLayout(worldName, layout);
+        if (entriesChanged) await applyEntryChanges(worldName, entries);
+        await refreshAfterCommand(worldName);
+    };
+
+    const entry = getWorldHistory(worldName).push({
+        label,
+        undo: () => replay(before, entriesBefore),
+        redo: () => replay(after, entriesAfter),
+    });
+
+    if (toast) {
+        showUndoToast(label, () => undoWorldHistory(worldName, entry));
+    }
+}
+
+/**
+ * 撤销世界书的最近一次操作
+ * @param {string} worldName 世界书名称
+ * @param {object|null} expected 只有最近的操作是该记录时才撤销
+ */
+async function undoWorldHistory(worldName = currentWorldName, expected = null) {
+    const history = worldName ? worldHistories.get(worldName) : null;
+    if (!history) return;
+
+    if (expected && history.peekUndo() !== expected) {
+        toastr.warning('之后已有其他操作，请使用工具栏的撤销按钮');
+        return;
+    }
+
+    const entry = await history.undo(expected);
+    if (entry) toastr.info(`已撤销：${entry.label}`);
+}
+
+/**
+ * 重做世界书最近撤销的操作
+ * @param {string} worldName 世界书名称
+ */
+async function redoWorldHistory(worldName = currentWorldName) {
+    const history = worldName ? worldHistories.get(worldName) : null;
+    const entry = await history?.redo();
+    if (entry) toastr.info(`已重做：${entry.label}`);
+}
+
+/**
+ * 更新工具栏的撤销/重做按钮
+ */
+function updateHistoryButtons() {
+    updateUndoButtons(
+        $('#wi-groups-undo'),
+        $('#wi-groups-redo'),
+        currentWorldName ? worldHistories.get(currentWorldName) : null,
+    );
+}
+
+// ==================== 聊天绑定 ====================
+
+// 绑定规则按顺序应用，避免快速切换聊天时互相覆盖
+let bindingQueue = Promise.resolve();
+
+/**
+ * 设置分组的聊天绑定规则（匹配当前角色时启用分组，否则禁用）
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {object|null} bindings { characters: [], tags: [] }，为空时移除绑定
+ */
+function setGroupBindings(worldName, groupId, bindings) {
+    const groups = getWorldGroups(worldName);
+    if (!groups[groupId]) return false;
+
+    const normalized = normalizeBindings(bindings);
+    if (normalized) {
+        groups[groupId].bindings = normalized;
+    } else {
+        delete groups[groupId].bindings;
+    }
+
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 获取角色的附加世界书（world_info.charLore，按角色头像文件名记录）
+ * @param {object} character 角色
+ * @returns {Promise<string[]>} 世界书名称列表
+ */
+async function getCharacterExtraWorldNames(character) {
+    if (!character?.avatar) return [];
+    try {
+        const { world_info } = await import('/scripts/world-info.js');
+        const fileName = character.avatar.replace(/\.[^/.]+$/, '');
+        return world_info?.charLore?.find(lore => lore.name === fileName)?.extraBooks ?? [];
+    } catch (error) {
+        console.warn('[ST-Grouping] Failed to read character extra lorebooks:', error);
+        return [];
+    }
+}
+
+/**
+ * 获取当前聊天生效的世界书：全局选择、角色主世界书和附加世界书、聊天世界书
+ * @returns {Promise<string[]>} 世界书名称列表
+ */
+async function getActiveWorldNames() {
+    const context = getContext();
+    const names = $('#world_info option:selected').map(function () {
+        return $(this).text();
+    }).get();
+
+    const character = context.characters?.[context.characterId];
+    if (character?.data?.extensions?.world) names.push(character.data.extensions.world);
+    names.push(...await getCharacterExtraWorldNames(character));
+    if (context.chatMetadata?.world_info) names.push(context.chatMetadata.world_info);
+
+    return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * 按当前角色应用所有生效世界书中的分组绑定
+ * @returns {Promise<string[]>} 切换了的分组描述
+ */
+async function applyChatBindings() {
+    const info = getActiveChatBindingInfo();
+    if (!info) return [];
+
+    const toggled = [];
+    for (const worldName of await getActiveWorldNames()) {
+        const worldData = await loadWorldForCommand(worldName);
+        if (!worldData) continue;
+
+        const groups = getWorldGroups(worldName);
+        let changed = false;
+        // 按树形顺序应用，子分组的绑定优先于父分组
+        for (const { id } of getGroupTreeList(worldName)) {
+            const bindings = normalizeBindings(groups[id].bindings);
+            if (!bindings) continue;
+
+            const enabled = matchesBindings(bindings, info);
+            if (await toggleWorldGroupEntries(worldName, id, enabled, worldData) > 0) {
+                toggled.push(`${enabled ? '启用' : '禁用'} ${worldName} / ${getGroupPath(worldName, id)}`);
+                changed = true;
+            }
+        }
+
+        if (changed) await refreshAfterCommand(worldName);
+    }
+
+    return toggled;
+}
+
+/**
+ * 切换聊天后应用分组绑定，并提示切换了哪些分组
+ */
+function scheduleChatBindings() {
+    bindingQueue = bindingQueue
+        .then(async () => {
+            const toggled = await applyChatBindings();
+            if (toggled.length > 0) {
+                toastr.info(toggled.map(line => escapeHtml(line)).join('<br>'), '世界书分组已自动切换', { escapeHtml: false });
+            }
+        })
+        .catch(error => console.error('[ST-Grouping] Failed to apply group bindings:', error));
+}
+
+// ==================== 分组布局导入/导出 ====================
+
+const LAYOUT_FORMAT = 'st-grouping/worldinfo-layout';
+const LAYOUT_VERSION = 1;
+
+/**
+ * 将条目UID列表转换为可跨世界书匹配的成员描述
+ * @param {Array} uids 条目UID列表
+ * @param {object} worldData 世界书数据
+ */
+function describeLayoutMembers(uids, worldData) {
+    const entries = worldData?.entries || {};
+    return uids.map(uid => ({
+        uid,
+        comment: entries[uid]?.comment ?? '',
+        key: entries[uid]?.key ?? [],
+    }));
+}
+
+/**
+ * 导出世界书的分组布局
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ */
+function buildLayoutExport(worldName, worldData) {
+    const groups = getWorldGroups(worldName);
+    const exported = {};
+
+    for (const groupId in groups) {
+        const { entries, excluded, ...rest } = groups[groupId];
+        exported[groupId] = {
+            ...structuredClone(rest),
+            members: describeLayoutMembers(entries, worldData),
+        };
+        if (excluded?.length) {
+            exported[groupId].excluded = describeLayoutMembers(excluded, worldData);
+        }
+    }
+
+    return {
+        format: LAYOUT_FORMAT,
+        version: LAYOUT_VERSION,
+        world: worldName,
+        exportedAt: new Date().toISOString(),
+        groupOrder: [...getGroupOrder(worldName)],
+        groups: exported,
+    };
+}
+
+/**
+ * 检查布局中的成员描述是否有效
+ * @param {object} member 成员描述
+ */
+function isValidLayoutMember(member) {
+    return isPlainObject(member)
+        && (typeof member.uid === 'number' || typeof member.uid === 'string')
+        && (member.comment === undefined || typeof member.comment === 'string')
+        && (member.key === undefined || (Array.isArray(member.key) && member.key.every(key => typeof key === 'string')));
+}
+
+/**
+ * 校验导入的布局数据
+ * @param {object} layout 布局数据
+ * @returns {string|null} 错误信息
+ */
+function validateLayout(layout) {
+    if (!isPlainObject(layout) || layout.format !== LAYOUT_FORMAT) {
+        return '文件不是世界书分组布局';
+    }
+    if (layout.version > LAYOUT_VERSION) {
+        return `布局版本 ${layout.version} 过新，请先更新扩展`;
+    }
+    if (!isPlainObject(layout.groups) || !Array.isArray(layout.groupOrder)) {
+        return '布局数据不完整';
+    }
+    if (!layout.groupOrder.every(id => typeof id === 'string')) {
+        return '布局的分组顺序无效';
+    }
+
+    for (const [groupId, group] of Object.entries(layout.groups)) {
+        if (!isPlainObject(group)) {
+            return `分组 "${groupId}" 的数据无效`;
+        }
+        for (const field of ['members', 'excluded']) {
+            if (group[field] !== undefined && !(Array.isArray(group[field]) && group[field].every(isValidLayoutMember))) {
+                return `分组 "${groupId}" 的成员数据无效`;
+            }
+        }
+        if (group.rules !== undefined && group.rules !== null && !isPlainObject(group.rules)) {
+            return `分组 "${groupId}" 的规则无效`;
+        }
+    }
+    return null;
+}
+
+/**
+ * 将布局中的成员匹配到目标世界书的条目
+ * 依次按 UID（内容一致）、内容指纹、UID（同一世界书中内容已修改）匹配，每个条目只匹配一次
+ * @param {object[]} members 成员描述列表
+ * @param {object} worldData 目标世界书数据
+ * @param {boolean} sameWorld 是否为导出时的同一本世界书
+ * @param {Set<string>} used 已被匹配的条目UID
+ * @returns {{matched: Array, unmatched: object[], byFingerprint: number}}
+ */
+function matchLayoutMembers(members, worldData, sameWorld, used) {
+    const entries = worldData?.entries || {};
+    const results = new Array(members.length).fill(null);
+    let byFingerprint = 0;
+
+    const claim = (index, uid) => {
+        results[index] = entries[uid].uid ?? uid;
+        used.add(String(uid));
+    };
+
+    members.forEach((member, index) => {
+        const uid = String(member.uid);
+        if (entries[uid] && !used.has(uid) && getEntryFingerprint(entries[uid]) === getEntryFingerprint(member)) {
+            claim(index, uid);
+        }
+    });
+
+    const fingerprintIndex = new Map();
+    for (const uid in entries) {
+        const fingerprint = getEntryFingerprint(entries[uid]);
+        if (!fingerprintIndex.has(fingerprint)) fingerprintIndex.set(fingerprint, []);
+        fingerprintIndex.get(fingerprint).push(uid);
+    }
+
+    members.forEach((member, index) => {
+        if (results[index] !== null) return;
+        const candidate = (fingerprintIndex.get(getEntryFingerprint(member)) ?? []).find(uid => !used.has(uid));
+        if (candidate !== undefined) {
+            claim(index, candidate);
+            byFingerprint++;
+        }
+    });
+
+    if (sameWorld) {
+        members.forEach((member, index) => {
+            const uid = String(member.uid);
+            if (results[index] === null && entries[uid] && !used.has(uid)) {
+                claim(index, uid);
+            }
+        });
+    }
+
+    return {
+        matched: results.filter(uid => uid !== null),
+        unmatched: members.filter((_, index) => results[index] === null),
+        byFingerprint,
+    };
+}
+
+/**
+ * 解析导入的布局，生成导入方案（不修改数据）
+ * @param {object} layout 布局数据
+ * @param {string} worldName 目标世界书名称
+ * @param {object} worldData 目标世界书数据
+ * @returns {{groups: object, groupOrder: string[], report: object[], matched: number, unmatched: number, byFingerprint: number}}
+ */
+function resolveLayoutImport(layout, worldName, worldData) {
+    const sameWorld = layout.world === worldName;
+    const used = new Set();
+    const plan = { groups: {}, groupOrder: [], report: [], matched: 0, unmatched: 0, byFingerprint: 0 };
+
+    // 去除重复的分组ID
+    const groupIds = [...new Set(layout.groupOrder)].filter(id => Object.hasOwn(layout.groups, id));
+    for (const groupId of groupIds) {
+        const source = layout.groups[groupId];
+        const { members = [], excluded = [] } = source;
+
+        // 只取已知字段，忽略文件中的其他数据
+        const group = {
+            name: String(source.name ?? '未命名分组'),
+            collapsed: source.collapsed === true,
+            entries: [],
+            parentId: typeof source.parentId === 'string' ? source.parentId : null,
+            mode: source.mode === EXCLUSIVE_MODE ? EXCLUSIVE_MODE : INCLUSIVE_MODE,
+        };
+        if (source.rules) {
+            group.rules = Object.fromEntries(Object.keys(DEFAULT_SMART_RULES).map(key => [key, String(source.rules[key] ?? '')]));
+        }
+        const bindings = normalizeBindings(source.bindings);
+        if (bindings) group.bindings = bindings;
+
+        if (isSmartGroup(group)) {
+            // 智能分组成员由规则计算，只需还原排除项
+            group.excluded = matchLayoutMembers(excluded, worldData, sameWorld, new Set()).matched;
+        } else {
+            const result = matchLayoutMembers(members, worldData, sameWorld, used);
+            group.entries = result.matched;
+            plan.matched += result.matched.length;
+            plan.unmatched += result.unmatched.length;
+            plan.byFingerprint += result.byFingerprint;
+            plan.report.push({ groupId, name: group.name, matched: result.matched.length, unmatched: result.unmatched });
+        }
+
+        if (!groupIds.includes(group.parentId)) {
+            group.parentId = null;
+        }
+
+        plan.groups[groupId] = group;
+        plan.groupOrder.push(groupId);
+    }
+
+    // 父级形成循环的分组移到顶层
+    for (const groupId of plan.groupOrder) {
+        const seen = new Set([groupId]);
+        let parentId = plan.groups[groupId].parentId;
+        while (parentId) {
+            if (seen.has(parentId)) {
+                plan.groups[groupId].parentId = null;
+                break;
+            }
+            seen.add(parentId);
+            parentId = plan.groups[parentId].parentId;
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * 应用导入方案，替换世界书当前的分组布局
+ * @param {string} worldName 世界书名称
+ * @param {object} plan 由 resolveLayoutImport 生成的导入方案
+ */
+function applyLayoutImport(worldName, plan) {
+    const record = getWorldRecord(worldName);
+    record.groups = structuredClone(plan.groups);
+    record.groupOrder = [...plan.groupOrder];
+
+    saveWorldGroups(worldName);
+    console.log(`[ST-Grouping] Imported ${plan.groupOrder.length} groups into "${worldName}"`);
+}
+
+/**
+ * 检查UID是否匹配（处理数字/字符串类型差异）
+ */
+function uidMatch(uid1, uid2) {
+    return String(uid1) === String(uid2);
+}
+
+/**
+ * 检查条目是否在分组中
+ */
+function isEntryInGroup(groupEntries, entryUid) {
+    return groupEntries.some(uid => uidMatch(uid, entryUid));
+}
+
+/**
+ * 清理孤立引用（条目已删除但仍在分组中）
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ */
+function cleanOrphanedReferences(worldName, worldData) {
+    const groups = getWorldGroups(worldName);
+    const validUids = new Set(Object.keys(worldData.entries || {}).map(String));
+    let cleaned = false;
+
+    for (const groupId in groups) {
+        const group = groups[groupId];
+        const originalLength = group.entries.length;
+
+        // 修复指向已删除分组或形成环的父级引用
+        if (group.parentId && (!groups[group.parentId] || getAncestorGroupIds(groups, groupId).includes(groupId))) {
+            console.log(`[ST-Grouping] Reset invalid parent of group "${group.name}"`);
+            group.parentId = null;
+            cleaned = true;
+        }
+
+        // 过滤掉不存在的条目
+        group.entries = group.entries.filter(uid => validUids.has(String(uid)));
+
+        if (group.entries.length !== originalLength) {
+            cleaned = true;
+            console.log(`[ST-Grouping] Cleaned ${originalLength - group.entries.length} orphaned entries from group "${group.name}"`);
+        }
+    }
+
+    if (cleaned) {
+        saveWorldGroups(worldName);
+    }
+
+    return cleaned;
+}
+
+/**
+ * 获取条目所属的分组ID
+ * @param {string} worldName 世界书名称
+ * @param {string|number} entryUid 条目UID
+ */
+function getEntryGroup(worldName, entryUid) {
+    const groups = getWorldGroups(worldName);
+
+    for (const groupId in groups) {
+        if (isEntryInGroup(groups[groupId].entries, entryUid)) {
+            return groupId;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 获取未分组的条目UID列表
+ * @param {string} worldName 世界书名称
+ * @param {object} worldData 世界书数据
+ */
+function getUngroupedEntries(worldName, worldData) {
+    const groups = getWorldGroups(worldName);
+    const allGroupedUids = new Set();
+
+    for (const groupId in groups) {
+        groups[groupId].entries.forEach(uid => allGroupedUids.add(String(uid)));
+    }
+
+    const allUids = Object.keys(worldData.entries || {});
+    return allUids.filter(uid => !allGroupedUids.has(String(uid)));
+}
+
+// ==================== UI 渲染 ====================
+
+let currentWorldName = null;
+let currentWorldData = null;
+let isRefreshing = false; // 防止重复刷新
+
+/**
+ * 注入分组工具栏
  */
 function injectGroupsToolbar() {
     const existingToolbar = $('#wi-groups-toolbar');
@@ -375,244 +1993,1255 @@ function injectGroupsToolbar() {
         existingToolbar.remove();
     }
 
-    const toolbar = $(`
-        <div id="wi-groups-toolbar" class="wi-groups-toolbar">
-            <div class="menu_button" id="wi-groups-new" title="创建新分组">
-                <i class="fa-solid fa-folder-plus"></i>
-                <span>新建分组</span>
+    const toolbar = $(`
+        <div id="wi-groups-toolbar" class="wi-groups-toolbar">
+            <div class="menu_button" id="wi-groups-new" title="创建新分组">
+                <i class="fa-solid fa-folder-plus"></i>
+                <span>新建分组</span>
+            </div>
+            <div class="menu_button" id="wi-groups-undo" title="撤销">
+                <i class="fa-solid fa-rotate-left"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-redo" title="重做">
+                <i class="fa-solid fa-rotate-right"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-expand-all" title="展开所有分组">
+                <i class="fa-solid fa-angles-down"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-collapse-all" title="折叠所有分组">
+                <i class="fa-solid fa-angles-up"></i>
+            </div>
+            <div class="menu_button ${selectionMode ? 'is-active' : ''}" id="wi-groups-select" title="多选条目">
+                <i class="fa-solid fa-list-check"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-claim" title="从孤立的世界书认领分组" style="display: none;">
+                <i class="fa-solid fa-hand-holding"></i>
+                <span>认领分组</span>
+            </div>
+            <div class="menu_button" id="wi-groups-snapshots" title="启用状态快照">
+                <i class="fa-solid fa-camera"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-export" title="导出分组布局">
+                <i class="fa-solid fa-file-export"></i>
+            </div>
+            <div class="menu_button" id="wi-groups-import" title="导入分组布局">
+                <i class="fa-solid fa-file-import"></i>
+            </div>
+            <input type="search" id="wi-groups-filter" class="text_pole wi-groups-filter" placeholder="筛选条目（注释/关键词/内容）" value="${escapeHtml(groupFilterText)}">
+            <div id="wi-groups-token-summary" class="wi-token-summary"></div>
+            <div id="wi-groups-selection-bar" class="wi-selection-bar" style="display: none;">
+                <span class="wi-selection-count"></span>
+                <div class="menu_button" id="wi-selection-all" title="选择所有可见条目">
+                    <i class="fa-solid fa-check-double"></i>
+                </div>
+                <div class="menu_button" id="wi-selection-clear" title="清除选择">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+                <div class="menu_button" id="wi-selection-move" title="将所选条目移到分组">
+                    <i class="fa-solid fa-folder-open"></i>
+                    <span>移到分组</span>
+                </div>
+                <div class="menu_button" id="wi-selection-new" title="用所选条目新建分组">
+                    <i class="fa-solid fa-folder-plus"></i>
+                    <span>新建分组</span>
+                </div>
+                <div class="menu_button" id="wi-selection-remove" title="将所选条目移出分组">
+                    <i class="fa-solid fa-folder-minus"></i>
+                    <span>移出分组</span>
+                </div>
+            </div>
+        </div>
+    `);
+
+    // 新建分组按钮
+    toolbar.find('#wi-groups-new').on('click', async () => {
+        if (!currentWorldName) return;
+
+        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+        const result = await callGenericPopup('输入分组名称:', POPUP_TYPE.INPUT, '');
+
+        if (result && typeof result === 'string' && result.trim()) {
+            await withHistory(currentWorldName, `新建分组 "${result.trim()}"`, () => createGroup(currentWorldName, result.trim()));
+            await refreshGroupedView();
+        }
+    });
+
+    // 多选模式
+    toolbar.find('#wi-groups-select').on('click', () => {
+        if (!currentWorldName) return;
+        setSelectionMode(!selectionMode);
+    });
+    toolbar.find('#wi-selection-all').on('click', () => selectVisibleEntries());
+    toolbar.find('#wi-selection-clear').on('click', () => {
+        selectedUids.clear();
+        updateSelectionUi();
+    });
+    toolbar.find('#wi-selection-move').on('click', () => moveSelectionToGroup());
+    toolbar.find('#wi-selection-new').on('click', () => createGroupFromSelection());
+    toolbar.find('#wi-selection-remove').on('click', () => removeSelectionFromGroups());
+
+    // 筛选
+    toolbar.find('#wi-groups-filter').on('input', function () {
+        setGroupFilter(this.value);
+    });
+
+    // 撤销/重做
+    toolbar.find('#wi-groups-undo').on('click', () => undoWorldHistory());
+    toolbar.find('#wi-groups-redo').on('click', () => redoWorldHistory());
+
+    // 展开所有
+    toolbar.find('#wi-groups-expand-all').on('click', async () => {
+        if (!currentWorldName) return;
+
+        const groups = getWorldGroups(currentWorldName);
+        for (const groupId in groups) {
+            groups[groupId].collapsed = false;
+        }
+        saveWorldGroups(currentWorldName);
+        await refreshGroupedView();
+    });
+
+    // 折叠所有
+    toolbar.find('#wi-groups-collapse-all').on('click', async () => {
+        if (!currentWorldName) return;
+
+        const groups = getWorldGroups(currentWorldName);
+        for (const groupId in groups) {
+            groups[groupId].collapsed = true;
+        }
+        saveWorldGroups(currentWorldName);
+        await refreshGroupedView();
+    });
+
+    // 认领孤立分组（仅在存在孤立数据时显示）
+    const claimButton = toolbar.find('#wi-groups-claim');
+    claimButton.toggle(getOrphanedLegacyBooks().length > 0);
+    claimButton.on('click', async () => {
+        if (!currentWorldName || !currentWorldData) return;
+
+        await showClaimOrphanedPopup();
+        claimButton.toggle(getOrphanedLegacyBooks().length > 0);
+    });
+
+    // 启用状态快照
+    toolbar.find('#wi-groups-snapshots').on('click', async () => {
+        if (!currentWorldName || !currentWorldData) return;
+        await showSnapshotsPopup();
+    });
+
+    // 导出分组布局
+    toolbar.find('#wi-groups-export').on('click', () => {
+        if (!currentWorldName || !currentWorldData) return;
+
+        const layout = buildLayoutExport(currentWorldName, currentWorldData);
+        if (layout.groupOrder.length === 0) {
+            toastr.info('当前世界书没有分组');
+            return;
+        }
+
+        downloadJsonFile(layout, `${currentWorldName}.groups.json`);
+    });
+
+    // 导入分组布局
+    toolbar.find('#wi-groups-import').on('click', async () => {
+        if (!currentWorldName || !currentWorldData) return;
+
+        let layout;
+        try {
+            layout = await pickJsonFile();
+        } catch (error) {
+            toastr.error(error.message);
+            return;
+        }
+        if (!layout) return;
+
+        const error = validateLayout(layout);
+        if (error) {
+            toastr.error(error);
+            return;
+        }
+
+        try {
+            await showLayoutImportPopup(layout);
+        } catch (importError) {
+            console.error('[ST-Grouping] Layout import failed:', importError);
+            toastr.error('导入分组布局失败: ' + importError.message);
+        }
+    });
+
+    // 插入到世界书编辑器顶部
+    const worldPopup = $('#world_popup');
+    const insertTarget = worldPopup.find('#world_popup_entries_list');
+
+    if (insertTarget.length) {
+        insertTarget.before(toolbar);
+    }
+
+    updateHistoryButtons();
+    updateSelectionUi();
+}
+
+/**
+ * 创建分组容器HTML
+ * @param {string} groupId 分组ID
+ * @param {object} groupData 分组数据
+ */
+function createGroupContainer(groupId, groupData) {
+    const isCollapsed = groupData.collapsed ? 'collapsed' : '';
+    const isSmart = isSmartGroup(groupData);
+    const isExclusive = isExclusiveGroup(groupData);
+    const bindings = normalizeBindings(groupData.bindings);
+    // 包含子分组中的条目
+    const entryCount = getGroupTreeEntries(currentWorldName, groupId).length;
+
+    const container = $(`
+        <div class="wi-group-container ${isSmart ? 'wi-group-smart' : ''} ${isExclusive ? 'wi-group-exclusive' : ''}" data-group-id="${groupId}">
+            <div class="wi-group-header ${isCollapsed}">
+                <i class="fa-solid fa-grip-vertical wi-group-drag-handle" draggable="true" title="拖拽排序"></i>
+                <i class="fa-solid fa-chevron-down expand-icon"></i>
+                ${isSmart ? `<i class="fa-solid fa-wand-magic-sparkles wi-group-smart-icon" title="智能分组：${escapeHtml(describeRules(groupData.rules))}"></i>` : ''}
+                ${bindings ? `<i class="fa-solid fa-link wi-group-binding-icon" title="切换聊天时自动开关：${escapeHtml(describeBindings(bindings))}"></i>` : ''}
+                <span class="wi-group-name">${escapeHtml(groupData.name)}</span>
+                <span class="wi-group-count">${entryCount} 条目</span>
+                <span class="wi-group-tokens"></span>
+                <div class="wi-group-actions">
+                    ${isExclusive ? '<select class="text_pole wi-group-active-select" title="单选分组：选择启用的条目"></select>' : ''}
+                    <div class="menu_button wi-group-toggle" title="一键开关分组内所有条目">
+                        <i class="fa-solid fa-toggle-on"></i>
+                    </div>
+                    <div class="menu_button wi-group-batch-edit" title="批量编辑分组内条目">
+                        <i class="fa-solid fa-sliders"></i>
+                    </div>
+                    <div class="menu_button wi-group-sort" title="排序分组内条目">
+                        <i class="fa-solid fa-arrow-down-short-wide"></i>
+                    </div>
+                    <div class="menu_button wi-group-add-child" title="新建子分组">
+                        <i class="fa-solid fa-folder-plus"></i>
+                    </div>
+                    <div class="menu_button wi-group-edit" title="编辑分组">
+                        <i class="fa-solid fa-pen"></i>
+                    </div>
+                    <div class="menu_button wi-group-delete" title="删除分组">
+                        <i class="fa-solid fa-trash"></i>
+                    </div>
+                </div>
+            </div>
+            <div class="wi-group-preview">
+                ${groupData.entries.length > 0 ? `包含: ${getEntryPreviewText(groupData.entries)}` : '(空分组)'}
+            </div>
+            <div class="wi-group-content ${isCollapsed}">
+            </div>
+        </div>
+    `);
+
+    // 点击头部切换折叠（只操作本分组的元素，子分组容器嵌套在内容区域中）
+    container.children('.wi-group-header').on('click', (e) => {
+        if ($(e.target).closest('.wi-group-actions').length) return;
+
+        const header = container.children('.wi-group-header');
+        const content = container.children('.wi-group-content');
+        const preview = container.children('.wi-group-preview');
+
+        header.toggleClass('collapsed');
+        content.toggleClass('collapsed');
+
+        // 更新预览显示
+        if (header.hasClass('collapsed')) {
+            preview.show();
+            // 子分组一并折叠
+            content.find('.wi-group-header, .wi-group-content').addClass('collapsed');
+            content.find('.wi-group-preview').show();
+        } else {
+            preview.hide();
+        }
+
+        // 筛选时的展开/折叠只是临时的，清除筛选后恢复保存的状态
+        if (!groupFilterText) {
+            toggleGroupCollapse(currentWorldName, groupId);
+        }
+    });
+
+    // 初始化预览显示状态
+    if (!groupData.collapsed) {
+        container.find('.wi-group-preview').hide();
+    }
+
+    // 一键开关分组（含子分组）内所有条目
+    const toggleButton = container.find('.wi-group-toggle').first();
+    updateGroupToggleButton(toggleButton, groupId);
+    toggleButton.on('click', async (e) => {
+        e.stopPropagation();
+        if (toggleButton.hasClass('disabled')) return;
+
+        const state = toggleButton.attr('data-state');
+        if (state === 'empty') return;
+        const shouldEnable = state === 'off' || state === 'mixed';
+
+        try {
+            toggleButton.addClass('disabled');
+            const label = `${shouldEnable ? '启用' : '禁用'}分组 "${groupData.name}"`;
+            await withHistory(currentWorldName, label, (transaction) => toggleWorldGroupEntries(currentWorldName, groupId, shouldEnable, currentWorldData, transaction));
+            updateAllGroupToggleButtons();
+            refreshTokenStats();
+        } catch (error) {
+            console.error('[ST-Grouping] Failed to toggle group entries:', error);
+            toastr.error('切换失败: ' + error.message);
+        } finally {
+            toggleButton.removeClass('disabled');
+        }
+    });
+
+    // 单选分组：直接选择启用的条目
+    const activeSelect = container.children('.wi-group-header').find('.wi-group-active-select');
+    updateExclusiveSelect(activeSelect, groupId);
+    activeSelect.on('click', e => e.stopPropagation());
+    activeSelect.on('change', async () => {
+        const value = activeSelect.val();
+        activeSelect.prop('disabled', true);
+        try {
+            await withHistory(currentWorldName, `切换 "${groupData.name}" 的启用条目`, (transaction) => selectExclusiveEntry(currentWorldName, groupId, value === '' ? null : value, transaction));
+            updateAllGroupToggleButtons();
+            refreshTokenStats();
+        } catch (error) {
+            console.error('[ST-Grouping] Failed to select exclusive entry:', error);
+            toastr.error('切换失败: ' + error.message);
+        } finally {
+            activeSelect.prop('disabled', false);
+        }
+    });
+
+    // 批量编辑
+    container.find('.wi-group-batch-edit').first().on('click', async (e) => {
+        e.stopPropagation();
+        await showBatchEditPopup(groupId, groupData);
+    });
+
+    // 排序
+    container.find('.wi-group-sort').first().on('click', async (e) => {
+        e.stopPropagation();
+        await showSortPopup(groupId, groupData);
+    });
+
+    // 新建子分组
+    container.find('.wi-group-add-child').on('click', async (e) => {
+        e.stopPropagation();
+
+        const { callGenericPopup, POPUP_TYPE } = getContext();
+        const result = await callGenericPopup(`输入 "${groupData.name}" 的子分组名称:`, POPUP_TYPE.INPUT, '');
+
+        if (result && typeof result === 'string' && result.trim()) {
+            await withHistory(currentWorldName, `新建子分组 "${result.trim()}"`, () => createGroup(currentWorldName, result.trim(), groupId));
+            await refreshGroupedView();
+        }
+    });
+
+    // 编辑分组
+    container.find('.wi-group-edit').on('click', async (e) => {
+        e.stopPropagation();
+        await showGroupEditPopup(groupId, groupData);
+    });
+
+    // 删除分组
+    container.find('.wi-group-delete').on('click', async (e) => {
+        e.stopPropagation();
+
+        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+        const confirmed = await callGenericPopup(
+            `确定要删除分组 "${groupData.name}" 吗？\n条目不会被删除，只会变为未分组状态，子分组会移到上一级。`,
+            POPUP_TYPE.CONFIRM
+        );
+
+        if (confirmed === POPUP_RESULT.AFFIRMATIVE) {
+            await withHistory(currentWorldName, `删除分组 "${groupData.name}"`, () => deleteGroup(currentWorldName, groupId), { toast: true });
+            await refreshGroupedView();
+        }
+    });
+
+    return container;
+}
+
+/**
+ * 获取分组（含子分组）内条目的启用状态
+ * @param {string} groupId 分组ID
+ * @returns {'on'|'off'|'mixed'|'empty'}
+ */
+function getGroupEnabledState(groupId) {
+    const entries = getGroupTreeEntries(currentWorldName, groupId)
+        .map(uid => currentWorldData?.entries?.[uid])
+        .filter(Boolean);
+
+    if (entries.length === 0) return 'empty';
+
+    const enabledCount = entries.filter(entry => !entry.disable).length;
+    if (enabledCount === 0) return 'off';
+    if (enabledCount === entries.length) return 'on';
+    // 单选分组启用一个条目即为完整状态
+    if (enabledCount === 1 && isExclusiveGroup(getWorldGroups(currentWorldName)[groupId])) return 'on';
+    return 'mixed';
+}
+
+/**
+ * 更新分组开关按钮的显示状态
+ * @param {jQuery} button 开关按钮
+ * @param {string} groupId 分组ID
+ */
+function updateGroupToggleButton(button, groupId) {
+    const state = getGroupEnabledState(groupId);
+    const titles = {
+        on: '一键禁用分组内所有条目',
+        off: '一键启用分组内所有条目',
+        mixed: '一键开关分组内所有条目（当前部分启用）',
+        empty: '分组内没有条目',
+    };
+
+    button.attr('data-state', state);
+    button.attr('title', titles[state]);
+    button.toggleClass('is-mixed', state === 'mixed');
+    button.find('i')
+        .toggleClass('fa-toggle-on', state !== 'off')
+        .toggleClass('fa-toggle-off', state === 'off');
+}
+
+/**
+ * 更新所有分组开关按钮（切换子分组会影响上级分组的状态）
+ */
+function updateAllGroupToggleButtons() {
+    $('#world_popup_entries_list .wi-group-container').each(function () {
+        const container = $(this);
+        const header = container.children('.wi-group-header');
+        updateGroupToggleButton(header.find('.wi-group-toggle'), container.data('group-id'));
+        updateExclusiveSelect(header.find('.wi-group-active-select'), container.data('group-id'));
+    });
+}
+
+/**
+ * 填充单选分组的启用条目选择器
+ * @param {jQuery} select 选择器
+ * @param {string} groupId 分组ID
+ */
+function updateExclusiveSelect(select, groupId) {
+    if (!select.length) return;
+
+    const members = getGroupTreeEntries(currentWorldName, groupId)
+        .filter(uid => currentWorldData?.entries?.[uid]);
+    const active = members.find(uid => !currentWorldData.entries[uid].disable);
+
+    select.empty().append($('<option value="">(全部禁用)</option>'));
+    for (const uid of members) {
+        const entry = currentWorldData.entries[uid];
+        const label = entry.comment || entry.key?.join(', ') || `UID:${uid}`;
+        select.append($('<option></option>').val(String(uid)).text(label));
+    }
+
+    select.val(active !== undefined ? String(active) : '');
+}
+
+/**
+ * 获取条目预览文本
+ * @param {number[]} entryUids 条目UID列表
+ */
+function getEntryPreviewText(entryUids) {
+    if (!currentWorldData || !currentWorldData.entries) return '';
+
+    const names = entryUids.slice(0, 3).map(uid => {
+        const entry = currentWorldData.entries[uid];
+        if (!entry) return null;
+        return entry.comment || entry.key?.join(', ') || `UID:${uid}`;
+    }).filter(Boolean);
+
+    if (entryUids.length > 3) {
+        names.push(`...还有${entryUids.length - 3}个`);
+    }
+
+    return names.join(', ');
+}
+
+/**
+ * 显示分组编辑弹窗
+ * @param {string} groupId 分组ID
+ * @param {object} groupData 分组数据
+ */
+async function showGroupEditPopup(groupId, groupData) {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+
+    // 构建条目选择列表
+    const allEntries = Object.entries(currentWorldData.entries || {}).map(([uid, entry]) => ({
+        uid: Number(uid),
+        name: entry.comment || entry.key?.join(', ') || `UID:${uid}`,
+        keys: entry.key?.join(', ') || '',
+        selected: isEntryInGroup(groupData.entries, uid)
+    }));
+
+    // 按名称排序
+    allEntries.sort((a, b) => a.name.localeCompare(b.name));
+
+    const entryListHtml = allEntries.map(entry => `
+        <div class="entry-item" data-uid="${entry.uid}">
+            <input type="checkbox" ${entry.selected ? 'checked' : ''}>
+            <span class="entry-name">${escapeHtml(entry.name)}</span>
+            <span class="entry-keys">${escapeHtml(entry.keys)}</span>
+        </div>
+    `).join('');
+
+    // 聊天绑定
+    const bindings = normalizeBindings(groupData.bindings) ?? { characters: [], tags: [] };
+
+    // 智能分组规则
+    const isSmart = isSmartGroup(groupData);
+    const rules = { ...DEFAULT_SMART_RULES, ...(groupData.rules ?? {}) };
+    const positionOptionsHtml = ENTRY_POSITION_OPTIONS
+        .map(option => `<option value="${option.value}">${option.label}</option>`)
+        .join('');
+    const stateOptionsHtml = Object.entries(ENTRY_STATE_OPTIONS)
+        .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+        .join('');
+
+    // 父分组选项显示完整路径（排除自身及其后代，避免形成环）
+    const excludedIds = new Set([groupId, ...getDescendantGroupIds(currentWorldName, groupId)]);
+    const currentParentId = getParentGroupId(getWorldGroups(currentWorldName), groupId);
+    const parentOptionsHtml = getGroupTreeList(currentWorldName)
+        .filter(({ id }) => !excludedIds.has(id))
+        .map(({ id }) => `
+            <option value="${id}" ${id === currentParentId ? 'selected' : ''}>${escapeHtml(getGroupPath(currentWorldName, id))}</option>
+        `).join('');
+
+    const popupContent = $(`
+        <div class="wi-group-edit-popup">
+            <div>
+                <label>分组名称</label>
+                <input type="text" id="wi-group-name-input" value="${escapeHtml(groupData.name)}" placeholder="输入分组名称">
             </div>
-            <div class="menu_button" id="wi-groups-expand-all" title="展开所有分组">
-                <i class="fa-solid fa-angles-down"></i>
+            <div>
+                <label>上级分组</label>
+                <select id="wi-group-parent-select" class="text_pole">
+                    <option value="">(顶层)</option>
+                    ${parentOptionsHtml}
+                </select>
             </div>
-            <div class="menu_button" id="wi-groups-collapse-all" title="折叠所有分组">
-                <i class="fa-solid fa-angles-up"></i>
+            <div>
+                <label class="checkbox_label wi-smart-toggle">
+                    <input type="checkbox" id="wi-group-exclusive-input" ${isExclusiveGroup(groupData) ? 'checked' : ''}>
+                    <span>单选分组（同时只启用一个条目）</span>
+                </label>
+                <label class="checkbox_label wi-smart-toggle">
+                    <input type="checkbox" id="wi-group-smart-input" ${isSmart ? 'checked' : ''}>
+                    <span>智能分组（按规则自动计算成员）</span>
+                </label>
+            </div>
+            <div class="wi-group-bindings">
+                <label>自动开关（切换聊天时，当前角色匹配则启用分组，否则禁用；逗号分隔，留空表示不绑定）</label>
+                <div class="wi-batch-edit-grid">
+                    <label for="wi-binding-characters">角色名称</label>
+                    <input type="text" id="wi-binding-characters" class="text_pole" value="${escapeHtml(bindings.characters.join(', '))}" placeholder="例如 Alice, Bob">
+                    <label for="wi-binding-tags">角色标签</label>
+                    <input type="text" id="wi-binding-tags" class="text_pole" value="${escapeHtml(bindings.tags.join(', '))}" placeholder="例如 sci-fi">
+                </div>
+            </div>
+            <div class="wi-smart-rules">
+                <div class="wi-batch-edit-grid">
+                    <label for="wi-rule-key-pattern">关键词正则</label>
+                    <input type="text" id="wi-rule-key-pattern" class="text_pole" value="${escapeHtml(rules.keyPattern)}" placeholder="例如 ^(城市|街区)">
+                    <label for="wi-rule-comment-prefix">注释前缀</label>
+                    <input type="text" id="wi-rule-comment-prefix" class="text_pole" value="${escapeHtml(rules.commentPrefix)}" placeholder="例如 [NPC]">
+                    <label for="wi-rule-state">状态</label>
+                    <select id="wi-rule-state" class="text_pole">
+                        <option value="">(不限)</option>
+                        ${stateOptionsHtml}
+                    </select>
+                    <label for="wi-rule-position">插入位置</label>
+                    <select id="wi-rule-position" class="text_pole">
+                        <option value="">(不限)</option>
+                        ${positionOptionsHtml}
+                    </select>
+                    <label for="wi-rule-enabled">启用状态</label>
+                    <select id="wi-rule-enabled" class="text_pole">
+                        <option value="">(不限)</option>
+                        <option value="enabled">已启用</option>
+                        <option value="disabled">已禁用</option>
+                    </select>
+                </div>
+                <div class="wi-smart-preview"></div>
+            </div>
+            <div class="wi-manual-entries">
+                <label>选择要包含的条目 (${allEntries.length}个可用)</label>
+                <div class="entry-selector">
+                    ${entryListHtml || '<div style="padding:10px;text-align:center;color:var(--grey70)">没有可用的条目</div>'}
+                </div>
             </div>
         </div>
     `);
 
-    // 新建分组按钮
-    toolbar.find('#wi-groups-new').on('click', async () => {
-        if (!currentWorldName) return;
+    popupContent.find('#wi-rule-state').val(rules.state);
+    popupContent.find('#wi-rule-position').val(String(rules.position));
+    popupContent.find('#wi-rule-enabled').val(rules.enabled);
+
+    // 从表单读取规则
+    const readRules = () => ({
+        keyPattern: popupContent.find('#wi-rule-key-pattern').val().trim(),
+        commentPrefix: popupContent.find('#wi-rule-comment-prefix').val().trim(),
+        state: popupContent.find('#wi-rule-state').val(),
+        position: popupContent.find('#wi-rule-position').val() === '' ? '' : Number(popupContent.find('#wi-rule-position').val()),
+        enabled: popupContent.find('#wi-rule-enabled').val(),
+    });
 
-        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
-        const result = await callGenericPopup('输入分组名称:', POPUP_TYPE.INPUT, '');
+    // 与 evaluateSmartGroups 一致：手动分组和排在前面的智能分组已收纳的条目不计入预览
+    const worldGroups = getWorldGroups(currentWorldName);
+    const previewClaimed = getManualGroupEntryUids(currentWorldName, groupId);
+    for (const { id } of getGroupTreeList(currentWorldName)) {
+        if (id === groupId) break;
+        if (isSmartGroup(worldGroups[id])) {
+            worldGroups[id].entries.forEach(uid => previewClaimed.add(String(uid)));
+        }
+    }
 
-        if (result && typeof result === 'string' && result.trim()) {
-            createGroup(currentWorldName, result.trim());
-            await refreshGroupedView();
+    // 切换智能/手动模式，并实时预览规则匹配数量
+    const updateSmartView = () => {
+        const smart = popupContent.find('#wi-group-smart-input').prop('checked');
+        popupContent.find('.wi-smart-rules').toggle(smart);
+        popupContent.find('.wi-manual-entries').toggle(!smart);
+        if (!smart) return;
+
+        const currentRules = readRules();
+        const preview = popupContent.find('.wi-smart-preview');
+        if (currentRules.keyPattern && !compileKeyPattern(currentRules.keyPattern)) {
+            preview.text('关键词正则无效').addClass('is-error');
+        } else if (!hasAnyRule(currentRules)) {
+            preview.text('请至少设置一个条件').addClass('is-error');
+        } else {
+            preview.text(`当前匹配 ${getSmartGroupMatches(currentWorldData, currentRules, groupData.excluded, previewClaimed).length} 个条目（已被其他分组收纳或已排除的条目除外）`).removeClass('is-error');
+        }
+    };
+    popupContent.find('#wi-group-smart-input, .wi-smart-rules select').on('change', updateSmartView);
+    popupContent.find('.wi-smart-rules input').on('input', updateSmartView);
+    updateSmartView();
+
+    // 点击条目行也能切换选中状态
+    popupContent.find('.entry-item').on('click', function (e) {
+        if (e.target.type !== 'checkbox') {
+            const checkbox = $(this).find('input[type="checkbox"]');
+            checkbox.prop('checked', !checkbox.prop('checked'));
         }
     });
 
-    // 展开所有
-    toolbar.find('#wi-groups-expand-all').on('click', async () => {
-        if (!currentWorldName) return;
+    const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
+        okButton: '保存',
+        cancelButton: '取消',
+        wide: true
+    });
 
-        const groups = getWorldGroups(currentWorldName);
-        for (const groupId in groups) {
-            groups[groupId].collapsed = false;
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    await withHistory(currentWorldName, `编辑分组 "${groupData.name}"`, async (transaction) => {
+        // 获取新名称
+        const newName = popupContent.find('#wi-group-name-input').val()?.trim();
+        if (newName && newName !== groupData.name) {
+            renameGroup(currentWorldName, groupId, newName);
         }
-        saveSettings();
-        await refreshGroupedView();
-    });
 
-    // 折叠所有
-    toolbar.find('#wi-groups-collapse-all').on('click', async () => {
-        if (!currentWorldName) return;
+        // 更新上级分组
+        const newParentId = popupContent.find('#wi-group-parent-select').val() || null;
+        if (newParentId !== currentParentId) {
+            moveGroup(currentWorldName, groupId, newParentId, 'inside');
+        }
 
-        const groups = getWorldGroups(currentWorldName);
-        for (const groupId in groups) {
-            groups[groupId].collapsed = true;
+        if (popupContent.find('#wi-group-smart-input').prop('checked')) {
+            const newRules = readRules();
+            if (newRules.keyPattern && !compileKeyPattern(newRules.keyPattern)) {
+                toastr.warning('关键词正则无效，该条件将不匹配任何条目');
+            }
+            setGroupRules(currentWorldName, groupId, newRules);
+        } else {
+            if (isSmart) {
+                setGroupRules(currentWorldName, groupId, null);
+            }
+
+            // 获取选中的条目（保存为数字）
+            const selectedUids = [];
+            popupContent.find('.entry-item input[type="checkbox"]:checked').each(function () {
+                const uid = $(this).closest('.entry-item').data('uid');
+                selectedUids.push(Number(uid));
+            });
+
+            setGroupEntries(currentWorldName, groupId, selectedUids);
+        }
+
+        setGroupBindings(currentWorldName, groupId, {
+            characters: parseBindingList(popupContent.find('#wi-binding-characters').val()),
+            tags: parseBindingList(popupContent.find('#wi-binding-tags').val()),
+        });
+
+        // 切换为单选时，已启用多个条目的分组只保留第一个
+        const exclusive = popupContent.find('#wi-group-exclusive-input').prop('checked');
+        if (exclusive !== isExclusiveGroup(groupData)) {
+            setGroupMode(currentWorldName, groupId, exclusive ? EXCLUSIVE_MODE : INCLUSIVE_MODE);
+        }
+        if (exclusive) {
+            evaluateSmartGroups(currentWorldName, currentWorldData);
+            if (await enforceExclusiveGroups(currentWorldName, currentWorldData, null, transaction) > 0) {
+                toastr.info('单选分组只保留了第一个启用的条目');
+            }
         }
-        saveSettings();
-        await refreshGroupedView();
     });
 
-    // 插入到世界书编辑器顶部
-    const worldPopup = $('#world_popup');
-    const insertTarget = worldPopup.find('#world_popup_entries_list');
+    await refreshGroupedView();
+}
 
-    if (insertTarget.length) {
-        insertTarget.before(toolbar);
+// 插入位置选项（与 ST 条目编辑器一致）
+const ENTRY_POSITION_OPTIONS = [
+    { value: 0, label: '↑Char 角色定义之前' },
+    { value: 1, label: '↓Char 角色定义之后' },
+    { value: 5, label: '↑EM 示例消息之前' },
+    { value: 6, label: '↓EM 示例消息之后' },
+    { value: 2, label: '↑AN 作者注释之前' },
+    { value: 3, label: '↓AN 作者注释之后' },
+    { value: 4, label: '@D 指定深度' },
+];
+
+// 条目状态选项（对应 entryStateSelector）
+const ENTRY_STATE_OPTIONS = {
+    constant: { label: '🔵 常驻', fields: { constant: true, vectorized: false } },
+    normal: { label: '🟢 关键词触发', fields: { constant: false, vectorized: false } },
+    vectorized: { label: '🔗 向量化', fields: { constant: false, vectorized: true } },
+};
+
+/**
+ * 显示批量编辑弹窗
+ * 只修改填写了的字段，所有条目一次保存
+ * @param {string} groupId 分组ID
+ * @param {object} groupData 分组数据
+ */
+async function showBatchEditPopup(groupId, groupData) {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+    const hasChildren = getChildGroupIds(currentWorldName, groupId).length > 0;
+
+    const positionOptionsHtml = ENTRY_POSITION_OPTIONS
+        .map(option => `<option value="${option.value}">${option.label}</option>`)
+        .join('');
+    const stateOptionsHtml = Object.entries(ENTRY_STATE_OPTIONS)
+        .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+        .join('');
+
+    const popupContent = $(`
+        <div class="wi-group-edit-popup wi-batch-edit-popup">
+            <div>
+                <label>批量编辑 "${escapeHtml(groupData.name)}" 的条目（留空的字段保持不变）</label>
+            </div>
+            <div class="wi-batch-edit-grid">
+                <label for="wi-batch-state">状态</label>
+                <select id="wi-batch-state" class="text_pole">
+                    <option value="">(不修改)</option>
+                    ${stateOptionsHtml}
+                </select>
+                <label for="wi-batch-position">插入位置</label>
+                <select id="wi-batch-position" class="text_pole">
+                    <option value="">(不修改)</option>
+                    ${positionOptionsHtml}
+                </select>
+                <label for="wi-batch-depth">深度</label>
+                <input type="number" id="wi-batch-depth" class="text_pole" min="0" step="1" placeholder="(不修改)">
+                <label for="wi-batch-order">顺序</label>
+                <input type="number" id="wi-batch-order" class="text_pole" step="1" placeholder="(不修改)">
+                <label for="wi-batch-probability">触发概率</label>
+                <input type="number" id="wi-batch-probability" class="text_pole" min="0" max="100" step="1" placeholder="(不修改)">
+            </div>
+            ${hasChildren ? `
+            <div>
+                <label class="checkbox_label">
+                    <input type="checkbox" id="wi-batch-include-children" checked>
+                    <span>包含子分组中的条目</span>
+                </label>
+            </div>` : ''}
+        </div>
+    `);
+
+    const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
+        okButton: '应用',
+        cancelButton: '取消',
+    });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    // 收集填写了的字段
+    const fields = {};
+    const summary = [];
+
+    const state = popupContent.find('#wi-batch-state').val();
+    if (state && ENTRY_STATE_OPTIONS[state]) {
+        Object.assign(fields, ENTRY_STATE_OPTIONS[state].fields);
+        summary.push(`状态 → ${ENTRY_STATE_OPTIONS[state].label}`);
+    }
+
+    const position = popupContent.find('#wi-batch-position').val();
+    if (position !== '' && position != null) {
+        fields.position = Number(position);
+        summary.push(`位置 → ${ENTRY_POSITION_OPTIONS.find(option => option.value === fields.position)?.label}`);
+    }
+
+    const numberFields = [
+        { id: '#wi-batch-depth', field: 'depth', label: '深度' },
+        { id: '#wi-batch-order', field: 'order', label: '顺序' },
+        { id: '#wi-batch-probability', field: 'probability', label: '概率', min: 0, max: 100 },
+    ];
+    for (const { id, field, label, min, max } of numberFields) {
+        const raw = String(popupContent.find(id).val() ?? '').trim();
+        if (!raw) continue;
+
+        let value = Math.round(Number(raw));
+        if (!Number.isFinite(value)) continue;
+        if (typeof min === 'number') value = Math.max(min, value);
+        if (typeof max === 'number') value = Math.min(max, value);
+
+        fields[field] = value;
+        summary.push(`${label} → ${value}`);
+    }
+
+    if (Object.hasOwn(fields, 'probability')) {
+        fields.useProbability = true;
+    }
+
+    if (summary.length === 0) {
+        toastr.info('没有填写任何要修改的字段');
+        return;
+    }
+
+    const includeChildren = popupContent.find('#wi-batch-include-children').prop('checked') ?? false;
+    const uids = includeChildren ? getGroupTreeEntries(currentWorldName, groupId) : groupData.entries;
+
+    const changes = {};
+    for (const uid of uids) {
+        changes[uid] = { ...fields };
+    }
+
+    try {
+        const changedCount = await withHistory(currentWorldName, `批量编辑 "${groupData.name}"`, (transaction) => applyEntryChanges(currentWorldName, changes, transaction));
+        toastr.success(`已修改 ${changedCount}/${uids.length} 个条目：${summary.join('，')}`);
+        await refreshGroupedView();
+    } catch (error) {
+        console.error('[ST-Grouping] Batch edit failed:', error);
+        toastr.error('批量编辑失败: ' + error.message);
     }
 }
 
+// ==================== 分组内排序 ====================
+
 /**
- * 创建分组容器HTML
+ * 获取条目的显示名称（注释，没有注释时用关键词）
+ * @param {object} entry 世界书条目
+ */
+function getEntryDisplayName(entry) {
+    return entry?.comment || (entry?.key ?? []).join(', ');
+}
+
+// 排序方式：value 返回用于比较的值
+const ENTRY_SORT_OPTIONS = {
+    name: { label: '名称', value: async (entry) => getEntryDisplayName(entry) },
+    uid: { label: 'UID', value: async (entry) => Number(entry.uid) },
+    order: { label: '插入顺序 (order)', value: async (entry) => Number(entry.order ?? 0) },
+    tokens: { label: 'Token 数', value: (entry) => countEntryTokens(entry) },
+};
+
+/**
+ * 按指定方式排序分组内的条目（不含子分组）
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {string} sortKey 排序方式（ENTRY_SORT_OPTIONS 的键）
+ * @param {boolean} descending 是否降序
+ * @param {object} worldData 世界书数据
+ */
+async function sortGroupEntries(worldName, groupId, sortKey, descending, worldData) {
+    const group = getWorldGroups(worldName)[groupId];
+    const option = ENTRY_SORT_OPTIONS[sortKey];
+    if (!group || !option) return false;
+
+    const keyed = [];
+    for (const uid of group.entries) {
+        const entry = worldData?.entries?.[uid];
+        keyed.push({ uid, value: entry ? await option.value(entry) : null });
+    }
+
+    const direction = descending ? -1 : 1;
+    keyed.sort((a, b) => {
+        // 找不到数据的条目始终排在最后
+        if (a.value == null || b.value == null) return (a.value == null) - (b.value == null);
+        const result = typeof a.value === 'string'
+            ? a.value.localeCompare(b.value, undefined, { numeric: true })
+            : a.value - b.value;
+        return result * direction;
+    });
+
+    group.entries = keyed.map(({ uid }) => uid);
+    saveWorldGroups(worldName);
+    return true;
+}
+
+/**
+ * 按分组内的排列给条目写入连续的插入顺序 (order)
+ * @param {string} worldName 世界书名称
+ * @param {string} groupId 分组ID
+ * @param {number} start 起始值
+ * @param {number} step 步长
+ * @param {object|null} transaction 记录修改的撤销操作
+ * @returns {Promise<number>} 实际修改的条目数量
+ */
+async function writeBackGroupOrder(worldName, groupId, start, step, transaction = null) {
+    const changes = {};
+    getWorldGroups(worldName)[groupId].entries.forEach((uid, index) => {
+        changes[uid] = { order: start + index * step };
+    });
+    return applyEntryChanges(worldName, changes, transaction);
+}
+
+/**
+ * 显示分组内排序弹窗
  * @param {string} groupId 分组ID
  * @param {object} groupData 分组数据
  */
-function createGroupContainer(groupId, groupData) {
-    const isCollapsed = groupData.collapsed ? 'collapsed' : '';
-    const entryCount = groupData.entries.length;
+async function showSortPopup(groupId, groupData) {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
 
-    const container = $(`
-        <div class="wi-group-container" data-group-id="${groupId}">
-            <div class="wi-group-header ${isCollapsed}">
-                <i class="fa-solid fa-grip-vertical wi-group-drag-handle" draggable="true" title="拖拽排序"></i>
-                <i class="fa-solid fa-chevron-down expand-icon"></i>
-                <span class="wi-group-name">${escapeHtml(groupData.name)}</span>
-                <span class="wi-group-count">${entryCount} 条目</span>
-                <div class="wi-group-actions">
-                    <div class="menu_button wi-group-edit" title="编辑分组">
-                        <i class="fa-solid fa-pen"></i>
-                    </div>
-                    <div class="menu_button wi-group-delete" title="删除分组">
-                        <i class="fa-solid fa-trash"></i>
-                    </div>
-                </div>
+    if (groupData.entries.length === 0) {
+        toastr.info('分组内没有条目');
+        return;
+    }
+
+    // 默认从分组内现有的最小插入顺序开始写回
+    const orders = groupData.entries
+        .map(uid => currentWorldData?.entries?.[uid]?.order)
+        .filter(order => Number.isFinite(order));
+    const defaultStart = orders.length ? Math.min(...orders) : 100;
+
+    const sortOptionsHtml = Object.entries(ENTRY_SORT_OPTIONS)
+        .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+        .join('');
+
+    const popupContent = $(`
+        <div class="wi-group-edit-popup wi-sort-popup">
+            <div>
+                <label>排序 "${escapeHtml(groupData.name)}" 的条目（也可以拖动条目把手手动调整）</label>
             </div>
-            <div class="wi-group-preview">
-                ${groupData.entries.length > 0 ? `包含: ${getEntryPreviewText(groupData.entries)}` : '(空分组)'}
+            <div class="wi-batch-edit-grid">
+                <label for="wi-sort-key">排序方式</label>
+                <select id="wi-sort-key" class="text_pole">
+                    <option value="">(保持当前顺序)</option>
+                    ${sortOptionsHtml}
+                </select>
+                <label for="wi-sort-descending">降序</label>
+                <input type="checkbox" id="wi-sort-descending">
             </div>
-            <div class="wi-group-content ${isCollapsed}">
+            <div>
+                <label class="checkbox_label">
+                    <input type="checkbox" id="wi-sort-write-back">
+                    <span>按分组内的排列写回插入顺序 (order)</span>
+                </label>
+            </div>
+            <div class="wi-batch-edit-grid wi-sort-write-back-fields">
+                <label for="wi-sort-start">起始值</label>
+                <input type="number" id="wi-sort-start" class="text_pole" step="1" value="${defaultStart}">
+                <label for="wi-sort-step">步长</label>
+                <input type="number" id="wi-sort-step" class="text_pole" step="1" value="1">
             </div>
         </div>
     `);
 
-    // 点击头部切换折叠
-    container.find('.wi-group-header').on('click', (e) => {
-        if ($(e.target).closest('.wi-group-actions').length) return;
+    const writeBackFields = popupContent.find('.wi-sort-write-back-fields').hide();
+    popupContent.find('#wi-sort-write-back').on('change', function () {
+        writeBackFields.toggle(this.checked);
+    });
 
-        const header = container.find('.wi-group-header');
-        const content = container.find('.wi-group-content');
-        const preview = container.find('.wi-group-preview');
+    const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
+        okButton: '应用',
+        cancelButton: '取消',
+    });
 
-        header.toggleClass('collapsed');
-        content.toggleClass('collapsed');
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
 
-        // 更新预览显示
-        if (header.hasClass('collapsed')) {
-            preview.show();
-        } else {
-            preview.hide();
-        }
+    const sortKey = popupContent.find('#wi-sort-key').val();
+    const descending = popupContent.find('#wi-sort-descending').prop('checked');
+    const writeBack = popupContent.find('#wi-sort-write-back').prop('checked');
+    const start = Math.round(Number(popupContent.find('#wi-sort-start').val()));
+    const step = Math.round(Number(popupContent.find('#wi-sort-step').val()));
 
-        toggleGroupCollapse(currentWorldName, groupId);
-    });
+    if (!sortKey && !writeBack) return;
+    if (writeBack && (!Number.isFinite(start) || !Number.isFinite(step))) {
+        toastr.warning('请填写有效的起始值和步长');
+        return;
+    }
 
-    // 初始化预览显示状态
-    if (!groupData.collapsed) {
-        container.find('.wi-group-preview').hide();
+    const summary = [];
+    if (sortKey) summary.push(`按${ENTRY_SORT_OPTIONS[sortKey].label}${descending ? '降序' : '升序'}排列`);
+
+    try {
+        await withHistory(currentWorldName, `排序 "${groupData.name}"`, async (transaction) => {
+            if (sortKey) {
+                await sortGroupEntries(currentWorldName, groupId, sortKey, descending, currentWorldData);
+            }
+            if (writeBack) {
+                const changedCount = await writeBackGroupOrder(currentWorldName, groupId, start, step, transaction);
+                summary.push(`已写回 ${changedCount} 个条目的插入顺序`);
+            }
+        });
+        toastr.success(summary.join('，'));
+        await refreshGroupedView();
+    } catch (error) {
+        console.error('[ST-Grouping] Sort failed:', error);
+        toastr.error('排序失败: ' + error.message);
     }
+}
 
-    // 编辑分组
-    container.find('.wi-group-edit').on('click', async (e) => {
-        e.stopPropagation();
-        await showGroupEditPopup(groupId, groupData);
-    });
+/**
+ * 显示认领孤立分组弹窗
+ * 列出 extensionSettings 中对应世界书已不存在的分组数据，并显示其条目在当前世界书中的匹配情况
+ */
+async function showClaimOrphanedPopup() {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+    const settings = getSettings();
+    const orphanNames = getOrphanedLegacyBooks();
 
-    // 删除分组
-    container.find('.wi-group-delete').on('click', async (e) => {
+    if (orphanNames.length === 0) {
+        toastr.info('没有孤立的分组数据');
+        return;
+    }
+
+    const validUids = new Set(Object.keys(currentWorldData.entries || {}).map(String));
+
+    const orphanListHtml = orphanNames.map(name => {
+        const groups = Object.values(settings.worldbooks[name].groups);
+        const uids = groups.flatMap(group => group.entries || []);
+        const matched = uids.filter(uid => validUids.has(String(uid))).length;
+        const groupNames = groups.map(group => group.name).join(', ');
+
+        return `
+            <div class="entry-item wi-orphan-item" data-name="${escapeHtml(name)}">
+                <input type="radio" name="wi-orphan-select">
+                <span class="entry-name">
+                    ${escapeHtml(name)}
+                    <small class="wi-orphan-groups">${escapeHtml(groupNames)}</small>
+                </span>
+                <span class="entry-keys">${groups.length} 个分组，匹配 ${matched}/${uids.length} 条目</span>
+                <div class="menu_button wi-orphan-discard" title="删除这份孤立数据">
+                    <i class="fa-solid fa-trash"></i>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const popupContent = $(`
+        <div class="wi-group-edit-popup">
+            <div>
+                <label>选择要认领到 "${escapeHtml(currentWorldName)}" 的分组数据</label>
+                <div class="entry-selector">
+                    ${orphanListHtml}
+                </div>
+            </div>
+        </div>
+    `);
+
+    popupContent.find('.wi-orphan-item').on('click', function (e) {
+        if ($(e.target).closest('.wi-orphan-discard').length) return;
+        $(this).find('input[type="radio"]').prop('checked', true);
+    });
+
+    popupContent.find('.wi-orphan-discard').on('click', async function (e) {
         e.stopPropagation();
 
-        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+        const item = $(this).closest('.wi-orphan-item');
+        const name = item.data('name');
         const confirmed = await callGenericPopup(
-            `确定要删除分组 "${groupData.name}" 吗？\n条目不会被删除，只会变为未分组状态。`,
+            `确定要删除 "${name}" 的孤立分组数据吗？此操作不可撤销。`,
             POPUP_TYPE.CONFIRM
         );
 
-        if (confirmed === POPUP_RESULT.AFFIRMATIVE) {
-            deleteGroup(currentWorldName, groupId);
-            await refreshGroupedView();
+        if (confirmed === POPUP_RESULT.AFFIRMATIVE && discardOrphanedGroups(name)) {
+            item.remove();
         }
     });
 
-    return container;
+    const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
+        okButton: '认领',
+        cancelButton: '取消',
+        wide: true
+    });
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const orphanName = popupContent.find('input[name="wi-orphan-select"]:checked').closest('.wi-orphan-item').data('name');
+    if (!orphanName) return;
+
+    const claimed = await withHistory(currentWorldName, `认领 "${orphanName}" 的分组`, () => claimOrphanedGroups(currentWorldName, currentWorldData, String(orphanName)));
+    if (!claimed) return;
+
+    const droppedText = claimed.dropped > 0 ? `，${claimed.dropped} 个条目在当前世界书中不存在已忽略` : '';
+    toastr.success(`已认领 ${claimed.groups} 个分组（${claimed.entries} 个条目）${droppedText}`);
+    await refreshGroupedView();
 }
 
 /**
- * 获取条目预览文本
- * @param {number[]} entryUids 条目UID列表
+ * 显示启用状态快照管理弹窗
  */
-function getEntryPreviewText(entryUids) {
-    if (!currentWorldData || !currentWorldData.entries) return '';
+async function showSnapshotsPopup() {
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const worldName = currentWorldName;
 
-    const names = entryUids.slice(0, 3).map(uid => {
-        const entry = currentWorldData.entries[uid];
-        if (!entry) return null;
-        return entry.comment || entry.key?.join(', ') || `UID:${uid}`;
-    }).filter(Boolean);
+    const popupContent = $(`
+        <div class="wi-group-edit-popup wi-snapshots-popup">
+            <div class="wi-snapshot-new">
+                <input type="text" class="text_pole" id="wi-snapshot-name" placeholder="快照名称">
+                <div class="menu_button" id="wi-snapshot-save" title="保存分组内条目的当前启用状态">
+                    <i class="fa-solid fa-camera"></i>
+                    <span>保存快照</span>
+                </div>
+            </div>
+            <div class="entry-selector wi-snapshot-list"></div>
+        </div>
+    `);
 
-    if (entryUids.length > 3) {
-        names.push(`...还有${entryUids.length - 3}个`);
-    }
+    const getLabel = (uid) => {
+        const entry = currentWorldData?.entries?.[uid];
+        return entry?.comment || entry?.key?.join(', ') || `UID:${uid}`;
+    };
 
-    return names.join(', ');
+    const renderList = () => {
+        const list = popupContent.find('.wi-snapshot-list').empty();
+        const snapshots = getWorldSnapshots(worldName);
+
+        if (snapshots.length === 0) {
+            list.append('<div class="wi-import-group">还没有快照</div>');
+            return;
+        }
+
+        for (const snapshot of [...snapshots].reverse()) {
+            const diff = diffSnapshot(currentWorldData, snapshot);
+            const diffText = diff.changes.length > 0 ? `与当前相差 ${diff.changes.length} 个条目` : '与当前一致';
+            const missingText = diff.missing > 0 ? `，${diff.missing} 个条目已不存在` : '';
+
+            const item = $(`
+                <div class="wi-snapshot-item">
+                    <div class="wi-snapshot-header">
+                        <span class="entry-name">${escapeHtml(snapshot.name)}</span>
+                        <span class="entry-keys">${new Date(snapshot.createdAt).toLocaleString()} · ${diffText}${missingText}</span>
+                        <div class="menu_button wi-snapshot-diff" title="对比"><i class="fa-solid fa-code-compare"></i></div>
+                        <div class="menu_button wi-snapshot-restore" title="恢复"><i class="fa-solid fa-clock-rotate-left"></i></div>
+                        <div class="menu_button wi-snapshot-delete" title="删除"><i class="fa-solid fa-trash"></i></div>
+                    </div>
+                    <div class="wi-snapshot-diff-list" style="display: none;"></div>
+                </div>
+            `);
+
+            const diffList = item.find('.wi-snapshot-diff-list');
+            for (const { uid, enabled } of diff.changes) {
+                $('<div class="wi-snapshot-diff-row"></div>')
+                    .toggleClass('is-enabled', enabled)
+                    .text(`${getLabel(uid)}：${enabled ? '禁用 → 启用' : '启用 → 禁用'}`)
+                    .appendTo(diffList);
+            }
+
+            item.find('.wi-snapshot-diff').on('click', () => {
+                if (diff.changes.length === 0) {
+                    toastr.info('当前状态与快照一致');
+                    return;
+                }
+                diffList.toggle();
+            });
+
+            item.find('.wi-snapshot-restore').on('click', async () => {
+                try {
+                    await withHistory(worldName, `恢复快照 "${snapshot.name}"`, (transaction) => restoreSnapshot(worldName, snapshot, transaction), { toast: true });
+                } catch (error) {
+                    console.error('[ST-Grouping] Failed to restore snapshot:', error);
+                    toastr.error('恢复失败: ' + error.message);
+                }
+                updateAllGroupToggleButtons();
+                refreshTokenStats();
+                renderList();
+            });
+
+            item.find('.wi-snapshot-delete').on('click', () => {
+                if (deleteSnapshot(worldName, snapshot.id)) renderList();
+            });
+
+            list.append(item);
+        }
+    };
+
+    popupContent.find('#wi-snapshot-save').on('click', () => {
+        const input = popupContent.find('#wi-snapshot-name');
+        const name = input.val().trim() || new Date().toLocaleString();
+        const snapshot = saveSnapshot(worldName, currentWorldData, name);
+        toastr.success(`已保存快照 "${snapshot.name}"（${Object.keys(snapshot.states).length} 个条目）`);
+        input.val('');
+        renderList();
+    });
+
+    renderList();
+    await callGenericPopup(popupContent, POPUP_TYPE.TEXT, '', { okButton: '关闭', wide: true });
 }
 
 /**
- * 显示分组编辑弹窗
- * @param {string} groupId 分组ID
- * @param {object} groupData 分组数据
+ * 显示分组布局导入预览，确认后替换当前布局
+ * @param {object} layout 已校验的布局数据
  */
-async function showGroupEditPopup(groupId, groupData) {
+async function showLayoutImportPopup(layout) {
     const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+    const worldName = currentWorldName;
+    const plan = resolveLayoutImport(layout, worldName, currentWorldData);
+
+    const reportHtml = plan.report.map(item => {
+        const unmatchedHtml = item.unmatched.map(member => `
+            <div class="wi-import-unmatched">
+                <i class="fa-solid fa-circle-xmark"></i>
+                ${escapeHtml(member.comment || `条目 #${member.uid}`)}
+                <small>${escapeHtml((member.key ?? []).join(', '))}</small>
+            </div>
+        `).join('');
 
-    // 构建条目选择列表
-    const allEntries = Object.entries(currentWorldData.entries || {}).map(([uid, entry]) => ({
-        uid: Number(uid),
-        name: entry.comment || entry.key?.join(', ') || `UID:${uid}`,
-        keys: entry.key?.join(', ') || '',
-        selected: isEntryInGroup(groupData.entries, uid)
-    }));
+        return `
+            <div class="wi-import-group">
+                <div class="wi-import-group-title">
+                    <span>${escapeHtml(item.name)}</span>
+                    <small>${item.matched}/${item.matched + item.unmatched.length}</small>
+                </div>
+                ${unmatchedHtml}
+            </div>
+        `;
+    }).join('');
 
-    // 按名称排序
-    allEntries.sort((a, b) => a.name.localeCompare(b.name));
+    const smartCount = plan.groupOrder.length - plan.report.length;
+    const summary = [
+        `${plan.groupOrder.length} 个分组`,
+        `匹配 ${plan.matched} 个条目`,
+        plan.byFingerprint > 0 ? `其中 ${plan.byFingerprint} 个按内容匹配` : '',
+        plan.unmatched > 0 ? `<b>${plan.unmatched} 个条目未找到，将被忽略</b>` : '',
+        smartCount > 0 ? `${smartCount} 个智能分组按规则重新计算` : '',
+    ].filter(Boolean).join('，');
 
-    const entryListHtml = allEntries.map(entry => `
-        <div class="entry-item" data-uid="${entry.uid}">
-            <input type="checkbox" ${entry.selected ? 'checked' : ''}>
-            <span class="entry-name">${escapeHtml(entry.name)}</span>
-            <span class="entry-keys">${escapeHtml(entry.keys)}</span>
-        </div>
-    `).join('');
+    const sourceText = layout.world && layout.world !== worldName
+        ? `（来自 "${escapeHtml(layout.world)}"）`
+        : '';
 
     const popupContent = $(`
         <div class="wi-group-edit-popup">
             <div>
-                <label>分组名称</label>
-                <input type="text" id="wi-group-name-input" value="${escapeHtml(groupData.name)}" placeholder="输入分组名称">
-            </div>
-            <div>
-                <label>选择要包含的条目 (${allEntries.length}个可用)</label>
+                <label>导入分组布局到 "${escapeHtml(worldName)}"${sourceText}</label>
+                <div class="wi-import-summary">${summary}</div>
                 <div class="entry-selector">
-                    ${entryListHtml || '<div style="padding:10px;text-align:center;color:var(--grey70)">没有可用的条目</div>'}
+                    ${reportHtml || '<div class="wi-import-group">没有需要匹配条目的分组</div>'}
                 </div>
+                <small>导入将替换当前世界书的全部分组。</small>
             </div>
         </div>
     `);
 
-    // 点击条目行也能切换选中状态
-    popupContent.find('.entry-item').on('click', function (e) {
-        if (e.target.type !== 'checkbox') {
-            const checkbox = $(this).find('input[type="checkbox"]');
-            checkbox.prop('checked', !checkbox.prop('checked'));
-        }
-    });
-
     const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
-        okButton: '保存',
+        okButton: '导入',
         cancelButton: '取消',
         wide: true
     });
 
-    if (result === POPUP_RESULT.AFFIRMATIVE) {
-        // 获取新名称
-        const newName = popupContent.find('#wi-group-name-input').val()?.trim();
-        if (newName && newName !== groupData.name) {
-            renameGroup(currentWorldName, groupId, newName);
-        }
-
-        // 获取选中的条目（保存为数字）
-        const selectedUids = [];
-        popupContent.find('.entry-item input[type="checkbox"]:checked').each(function () {
-            const uid = $(this).closest('.entry-item').data('uid');
-            selectedUids.push(Number(uid));
-        });
+    if (result !== POPUP_RESULT.AFFIRMATIVE || worldName !== currentWorldName) return;
 
-        setGroupEntries(currentWorldName, groupId, selectedUids);
-        await refreshGroupedView();
-    }
+    await withHistory(worldName, '导入分组布局', () => applyLayoutImport(worldName, plan), { toast: true });
+    toastr.success(`已导入 ${plan.groupOrder.length} 个分组`);
+    await refreshGroupedView();
 }
 
 /**
@@ -625,6 +3254,63 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * 在列表中查找条目元素
+ * @param {jQuery} entriesList 条目列表
+ * @param {number|string} uid 条目UID
+ */
+function findEntryElement(entriesList, uid) {
+    // 尝试多种选择器匹配（无引号和有引号）
+    let entryElement = entriesList.children(`.world_entry[uid="${uid}"]`);
+    if (!entryElement.length) {
+        entryElement = entriesList.children(`.world_entry[uid=${uid}]`);
+    }
+    if (!entryElement.length) {
+        // 遍历查找
+        entriesList.children('.world_entry').each(function () {
+            const $el = $(this);
+            const elUid = $el.attr('uid');
+            if (String(elUid) === String(uid)) {
+                entryElement = $el;
+                return false; // break
+            }
+        });
+    }
+    return entryElement;
+}
+
+/**
+ * 创建分组容器，递归插入子分组后再移入本分组的条目
+ * @param {jQuery} entriesList 条目列表
+ * @param {string} groupId 分组ID
+ */
+function buildGroupTree(entriesList, groupId) {
+    const groupData = getWorldGroups(currentWorldName)[groupId];
+    const container = createGroupContainer(groupId, groupData);
+    const contentArea = container.children('.wi-group-content');
+
+    for (const childId of getChildGroupIds(currentWorldName, groupId)) {
+        contentArea.append(buildGroupTree(entriesList, childId));
+    }
+
+    // 将属于该分组的条目移入容器
+    for (const uid of groupData.entries) {
+        const entryElement = findEntryElement(entriesList, uid);
+
+        if (entryElement.length) {
+            // 根据条目的constant状态设置data属性，用于边缘颜色区分
+            const entryData = currentWorldData.entries[uid];
+            if (entryData) {
+                const isConstant = entryData.constant === true;
+                entryElement.attr('data-wi-constant', isConstant ? 'true' : 'false');
+            }
+            contentArea.append(entryElement.detach());
+        }
+    }
+
+    return container;
+}
+
 /**
  * 刷新分组视图
  */
@@ -645,11 +3331,13 @@ async function refreshGroupedView() {
         // 清理孤立引用
         cleanOrphanedReferences(currentWorldName, currentWorldData);
 
+        // 按规则计算智能分组成员
+        evaluateSmartGroups(currentWorldName, currentWorldData);
+
         const entriesList = $('#world_popup_entries_list');
         if (!entriesList.length) return;
 
         // 获取所有分组（按顺序）
-        const groups = getWorldGroups(currentWorldName);
         const groupIds = getGroupOrder(currentWorldName);
 
         // 先把分组容器内的条目放回列表（避免被删除）
@@ -669,47 +3357,11 @@ async function refreshGroupedView() {
         // 获取未分组的条目
         const ungroupedUids = getUngroupedEntries(currentWorldName, currentWorldData);
 
-        // 创建分组容器并插入条目
+        // 创建顶层分组容器并插入条目（子分组在容器内递归创建）
         let lastInserted = entriesList.find('.worldInfoKeywordHeaders');
 
-        for (const groupId of groupIds) {
-            const groupData = groups[groupId];
-            const container = createGroupContainer(groupId, groupData);
-            const contentArea = container.find('.wi-group-content');
-
-
-
-            // 将属于该分组的条目移入容器
-            for (const uid of groupData.entries) {
-                // 尝试多种选择器匹配（无引号和有引号）
-                let entryElement = entriesList.children(`.world_entry[uid="${uid}"]`);
-                if (!entryElement.length) {
-                    entryElement = entriesList.children(`.world_entry[uid=${uid}]`);
-                }
-                if (!entryElement.length) {
-                    // 遍历查找
-                    entriesList.children('.world_entry').each(function () {
-                        const $el = $(this);
-                        const elUid = $el.attr('uid');
-                        if (String(elUid) === String(uid)) {
-                            entryElement = $el;
-                            return false; // break
-                        }
-                    });
-                }
-
-                if (entryElement.length) {
-                    // 根据条目的constant状态设置data属性，用于边缘颜色区分
-                    const entryData = currentWorldData.entries[uid];
-                    if (entryData) {
-                        const isConstant = entryData.constant === true;
-                        entryElement.attr('data-wi-constant', isConstant ? 'true' : 'false');
-                    }
-                    contentArea.append(entryElement.detach());
-                } else {
-
-                }
-            }
+        for (const groupId of getChildGroupIds(currentWorldName, null)) {
+            const container = buildGroupTree(entriesList, groupId);
 
             // 将分组容器插入
             if (lastInserted.length) {
@@ -720,8 +3372,8 @@ async function refreshGroupedView() {
             lastInserted = container;
         }
 
-        // 添加未分组区域标题
-        if (ungroupedUids.length > 0 && groupIds.length > 0) {
+        // 添加未分组区域标题（即使没有未分组条目也保留，作为拖出分组的放置目标）
+        if (groupIds.length > 0) {
             const ungroupedHeader = $(`
                 <div class="wi-ungrouped-header">
                     <i class="fa-solid fa-folder-open"></i>
@@ -729,51 +3381,421 @@ async function refreshGroupedView() {
                 </div>
             `);
 
-            // 插入到最后一个分组容器之后
-            const lastGroup = entriesList.find('.wi-group-container').last();
-            if (lastGroup.length) {
-                lastGroup.after(ungroupedHeader);
-            }
-        }
-    } finally {
-        // 确保无论如何都重置标志
-        setTimeout(() => {
-            isRefreshing = false;
-            // 初始化拖拽和长按功能
-            // initDragAndDrop(); // 已禁用 - 与长按粘贴冲突
-            initGroupDragSort();
-            initLongPressMenu();
-        }, 50);
+            // 插入到最后一个顶层分组容器之后
+            const lastGroup = entriesList.children('.wi-group-container').last();
+            if (lastGroup.length) {
+                lastGroup.after(ungroupedHeader);
+            }
+        }
+    } finally {
+        // 确保无论如何都重置标志
+        setTimeout(() => {
+            isRefreshing = false;
+            // 初始化拖拽和长按功能
+            initDragAndDrop();
+            initGroupDragSort();
+            initLongPressMenu();
+            initEntrySelection();
+            updateSelectionUi();
+            applyGroupFilter();
+            refreshTokenStats();
+        }, 50);
+    }
+}
+
+// ==================== Token 统计 ====================
+
+// 条目UID -> { content, count }，内容变化时替换旧值；切换世界书时清空
+const tokenCountCache = new Map();
+
+// 统计刷新的序号，丢弃过期的异步结果
+let tokenStatsGeneration = 0;
+
+/**
+ * 计算条目内容的 token 数（按条目缓存，内容未变时复用）
+ * @param {object} entry 世界书条目
+ */
+async function countEntryTokens(entry) {
+    const content = entry?.content ?? '';
+    if (!content) return 0;
+
+    const key = String(entry.uid);
+    const cached = tokenCountCache.get(key);
+    if (cached?.content === content) return cached.count;
+
+    const { getTokenCountAsync } = getContext();
+    const count = await getTokenCountAsync(content);
+    tokenCountCache.set(key, { content, count });
+    return count;
+}
+
+/**
+ * 统计一组条目中已启用条目的 token 数和字符数，区分常驻与触发
+ * @param {object} worldData 世界书数据
+ * @param {Array} uids 条目UID列表
+ * @returns {Promise<{constant: number, triggered: number, chars: number}>}
+ */
+async function getEntriesTokenStats(worldData, uids) {
+    const stats = { constant: 0, triggered: 0, chars: 0 };
+
+    for (const uid of uids) {
+        const entry = worldData?.entries?.[uid];
+        if (!entry || entry.disable) continue;
+
+        const tokens = await countEntryTokens(entry);
+        if (entry.constant) {
+            stats.constant += tokens;
+        } else {
+            stats.triggered += tokens;
+        }
+        stats.chars += (entry.content ?? '').length;
+    }
+
+    return stats;
+}
+
+/**
+ * 格式化统计文本
+ * @param {{constant: number, triggered: number, chars: number}} stats 统计
+ */
+function formatTokenStats(stats) {
+    return `常驻 ${stats.constant} / 触发 ${stats.triggered} tokens，${stats.chars} 字符`;
+}
+
+/**
+ * 刷新分组头部和工具栏汇总条的 token 统计
+ */
+async function refreshTokenStats() {
+    if (!currentWorldName || !currentWorldData) return;
+
+    const generation = ++tokenStatsGeneration;
+    const worldName = currentWorldName;
+    const worldData = currentWorldData;
+
+    try {
+        const groupStats = new Map();
+        for (const groupId in getWorldGroups(worldName)) {
+            groupStats.set(groupId, await getEntriesTokenStats(worldData, getGroupTreeEntries(worldName, groupId)));
+            if (generation !== tokenStatsGeneration) return;
+        }
+        const ungroupedStats = await getEntriesTokenStats(worldData, getUngroupedEntries(worldName, worldData));
+        if (generation !== tokenStatsGeneration) return;
+
+        $('#world_popup_entries_list .wi-group-container').each(function () {
+            const stats = groupStats.get($(this).data('group-id'));
+            if (!stats) return;
+
+            $(this).children('.wi-group-header').find('.wi-group-tokens')
+                .text(`${stats.constant + stats.triggered} tokens`)
+                .attr('title', formatTokenStats(stats));
+        });
+
+        renderTokenSummary(worldName, groupStats, ungroupedStats);
+    } catch (error) {
+        console.warn('[ST-Grouping] Failed to count world info tokens:', error);
+    }
+}
+
+/**
+ * 渲染工具栏中的汇总条：每个顶层分组（含子分组）占用的 token 比例
+ * @param {string} worldName 世界书名称
+ * @param {Map<string, object>} groupStats 分组统计
+ * @param {object} ungroupedStats 未分组条目统计
+ */
+function renderTokenSummary(worldName, groupStats, ungroupedStats) {
+    const summary = $('#wi-groups-token-summary');
+    if (!summary.length) return;
+
+    const groups = getWorldGroups(worldName);
+    const segments = getChildGroupIds(worldName, null)
+        .map(groupId => ({ name: groups[groupId].name, stats: groupStats.get(groupId) }))
+        .filter(segment => segment.stats);
+    segments.push({ name: '未分组', stats: ungroupedStats, ungrouped: true });
+
+    const total = { constant: 0, triggered: 0, chars: 0 };
+    for (const { stats } of segments) {
+        total.constant += stats.constant;
+        total.triggered += stats.triggered;
+        total.chars += stats.chars;
+    }
+    const totalTokens = total.constant + total.triggered;
+
+    const bar = $('<div class="wi-token-summary-bar"></div>');
+    segments
+        .filter(({ stats }) => stats.constant + stats.triggered > 0)
+        .sort((a, b) => (b.stats.constant + b.stats.triggered) - (a.stats.constant + a.stats.triggered))
+        .forEach(({ name, stats, ungrouped }, index) => {
+            const tokens = stats.constant + stats.triggered;
+            const percent = Math.round(tokens / totalTokens * 100);
+            $('<div class="wi-token-summary-segment"></div>')
+                .toggleClass('is-ungrouped', !!ungrouped)
+                .css({ width: `${tokens / totalTokens * 100}%`, '--wi-segment-hue': (index * 47) % 360 })
+                .attr('title', `${name}: ${percent}%，${formatTokenStats(stats)}`)
+                .appendTo(bar);
+        });
+
+    summary.empty()
+        .append(bar)
+        .append($('<span class="wi-token-summary-text"></span>').text(`总计 ${totalTokens} tokens（${formatTokenStats(total)}）`));
+}
+
+// ==================== 拖拽功能 ====================
+
+let draggedEntry = null;
+let draggedGroup = null;
+
+// 触摸拖拽状态 { entry, target, anchor }
+let touchDrag = null;
+
+/**
+ * 初始化条目拖拽
+ * 只能通过条目头部的专用把手拖拽，避免与文本选择和长按菜单冲突
+ * 可放到分组头部、分组内容区域或"未分组"标题上
+ */
+function initDragAndDrop() {
+    const entriesList = $('#world_popup_entries_list');
+    if (!entriesList.length) return;
+
+    // 没有分组时无处可放，不显示把手
+    const hasGroups = currentWorldName && getGroupOrder(currentWorldName).length > 0;
+    entriesList.find('.world_entry').each(function () {
+        const $entry = $(this);
+        const handle = $entry.find('.wi-entry-drag-handle');
+        if (!hasGroups) {
+            handle.remove();
+        } else if (!handle.length) {
+            const header = $entry.find('.inline-drawer-header').first();
+            (header.length ? header : $entry).prepend('<i class="fa-solid fa-grip-lines wi-entry-drag-handle" draggable="true" title="拖到分组"></i>');
+        }
+    });
+
+    entriesList.off('.wientrydrag');
+
+    // 点击把手不展开/折叠条目
+    entriesList.on('click.wientrydrag', '.wi-entry-drag-handle', function (e) {
+        e.stopPropagation();
+    });
+
+    entriesList.on('dragstart.wientrydrag', '.wi-entry-drag-handle', function (e) {
+        e.stopPropagation();
+        const entry = $(this).closest('.world_entry');
+        draggedEntry = entry[0];
+        entry.addClass('wi-dragging');
+        e.originalEvent.dataTransfer.effectAllowed = 'move';
+        e.originalEvent.dataTransfer.setData('text/plain', String(entry.attr('uid')));
+    });
+
+    entriesList.on('dragend.wientrydrag', '.wi-entry-drag-handle', function () {
+        $(this).closest('.world_entry').removeClass('wi-dragging');
+        clearGroupDropHints();
+        draggedEntry = null;
+    });
+
+    entriesList.on('dragover.wientrydrag', '.wi-group-header, .wi-group-content, .wi-ungrouped-header', function (e) {
+        if (!draggedEntry) return;
+
+        // 嵌套分组时只由最内层的放置区域处理
+        e.stopPropagation();
+        const target = getEntryDropTarget(this, draggedEntry);
+        if (target === undefined) return;
+
+        e.preventDefault();
+        showEntryDropHint(this, getEntryDropAnchor(this, e.target, e.originalEvent.clientY));
+    });
+
+    entriesList.on('dragleave.wientrydrag', '.wi-group-header, .wi-group-content, .wi-ungrouped-header', function (e) {
+        if (!draggedEntry) return;
+        if (!$(e.relatedTarget).closest(this).length) clearGroupDropHints();
+    });
+
+    entriesList.on('drop.wientrydrag', '.wi-group-header, .wi-group-content, .wi-ungrouped-header', async function (e) {
+        if (!draggedEntry) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        clearGroupDropHints();
+
+        const entry = draggedEntry;
+        draggedEntry = null;
+        await dropEntry(entry, getEntryDropTarget(this, entry), getEntryDropAnchor(this, e.target, e.originalEvent.clientY));
+    });
+
+    // 触摸拖拽（移动端）：按住把手移动，松开时放到手指下方的区域
+    entriesList.on('touchstart.wientrydrag', '.wi-entry-drag-handle', function (e) {
+        e.stopPropagation();
+        const entry = $(this).closest('.world_entry');
+        touchDrag = { entry: entry[0], target: null, anchor: null };
+        entry.addClass('wi-dragging');
+    });
+
+    entriesList.on('touchmove.wientrydrag', '.wi-entry-drag-handle', function (e) {
+        if (!touchDrag) return;
+
+        // 阻止页面滚动
+        e.preventDefault();
+        e.stopPropagation();
+
+        const touch = e.originalEvent.touches[0];
+        const element = document.elementFromPoint(touch.clientX, touch.clientY);
+        const zone = $(element).closest('.wi-group-header, .wi-group-content, .wi-ungrouped-header')[0] ?? null;
+
+        clearGroupDropHints();
+        touchDrag.target = zone && getEntryDropTarget(zone, touchDrag.entry) !== undefined ? zone : null;
+        touchDrag.anchor = touchDrag.target ? getEntryDropAnchor(zone, element, touch.clientY) : null;
+        if (touchDrag.target) showEntryDropHint(touchDrag.target, touchDrag.anchor);
+    });
+
+    entriesList.on('touchend.wientrydrag touchcancel.wientrydrag', '.wi-entry-drag-handle', async function (e) {
+        if (!touchDrag) return;
+
+        e.stopPropagation();
+        const { entry, target, anchor } = touchDrag;
+        touchDrag = null;
+        $(entry).removeClass('wi-dragging');
+        clearGroupDropHints();
+
+        if (e.type === 'touchend' && target) {
+            await dropEntry(entry, getEntryDropTarget(target, entry), anchor);
+        }
+    });
+}
+
+/**
+ * 解析条目的放置目标
+ * @param {HTMLElement} zone 放置区域（分组头部、分组内容或"未分组"标题）
+ * @param {HTMLElement} entry 被拖拽的条目元素
+ * @returns {string|null|undefined} 分组ID；null 表示移出分组；undefined 表示不可放置
+ */
+function getEntryDropTarget(zone, entry) {
+    if ($(zone).is('.wi-ungrouped-header')) return null;
+
+    const groupId = $(zone).closest('.wi-group-container').data('group-id');
+    if (!groupId) return undefined;
+
+    // 智能分组的成员由规则决定，只能调整已有成员的顺序
+    const group = getWorldGroups(currentWorldName)[groupId];
+    if (isSmartGroup(group) && !isEntryInGroup(group.entries, $(entry).attr('uid'))) return undefined;
+    return groupId;
+}
+
+/**
+ * 计算条目在分组内容区域中的放置位置
+ * @param {HTMLElement} zone 放置区域
+ * @param {HTMLElement} element 指针下方的元素
+ * @param {number} clientY 指针纵坐标
+ * @returns {{entry: HTMLElement, position: 'before'|'after'}|null} 相邻的条目；null 表示放到末尾
+ */
+function getEntryDropAnchor(zone, element, clientY) {
+    if (!$(zone).is('.wi-group-content')) return null;
+
+    const entry = $(element).closest('.world_entry')[0];
+    if (!entry || entry.parentElement !== zone) return null;
+
+    const rect = entry.getBoundingClientRect();
+    return { entry, position: clientY < rect.top + rect.height / 2 ? 'before' : 'after' };
+}
+
+/**
+ * 显示条目放置提示
+ * @param {HTMLElement} zone 放置区域
+ * @param {{entry: HTMLElement, position: string}|null} anchor 相邻的条目
+ */
+function showEntryDropHint(zone, anchor = null) {
+    clearGroupDropHints();
+    if (anchor) {
+        $(anchor.entry).addClass(`wi-drop-${anchor.position}`);
+        return;
     }
+
+    const $zone = $(zone);
+    ($zone.is('.wi-ungrouped-header') ? $zone : $zone.closest('.wi-group-container')).addClass('wi-drag-over');
 }
 
-// ==================== 拖拽功能 ====================
+/**
+ * 将拖拽的条目放到目标分组
+ * 多选模式下拖拽已选中的条目时会一起移动所有选中的条目
+ * @param {HTMLElement} entry 被拖拽的条目元素
+ * @param {string|null|undefined} groupId 目标分组ID，null 表示移出分组
+ * @param {{entry: HTMLElement, position: string}|null} anchor 放置位置的相邻条目，null 表示分组末尾
+ */
+async function dropEntry(entry, groupId, anchor = null) {
+    if (!currentWorldName || groupId === undefined) return;
 
-let draggedEntry = null;
-let draggedGroup = null;
+    const uid = String($(entry).attr('uid'));
+    const uids = selectionMode && selectedUids.has(uid) ? getSelectionInDomOrder() : [uid];
+
+    const groups = getWorldGroups(currentWorldName);
+    // 智能分组只调整已有成员的顺序
+    const candidates = groupId && isSmartGroup(groups[groupId])
+        ? uids.filter(entryUid => isEntryInGroup(groups[groupId].entries, entryUid))
+        : uids;
+    // 没有指定位置时，已在目标分组中的条目保持原位
+    const moving = anchor ? candidates : candidates.filter(entryUid => getEntryGroup(currentWorldName, entryUid) !== groupId);
+    if (moving.length === 0) return;
+
+    // 放在相邻条目之前；相邻条目本身也在移动时顺延到下一个
+    let before = anchor ? $(anchor.position === 'before' ? anchor.entry : $(anchor.entry).nextAll('.world_entry')[0]) : $();
+    while (before.length && moving.includes(String(before.attr('uid')))) {
+        before = before.nextAll('.world_entry').first();
+    }
+    const beforeUid = before.length ? before.attr('uid') : null;
+
+    const groupName = groupId ? groups[groupId].name : null;
+    const label = !groupName
+        ? `移出 ${moving.length} 个条目`
+        : moving.every(entryUid => getEntryGroup(currentWorldName, entryUid) === groupId)
+            ? `调整 "${groupName}" 内的条目顺序`
+            : `移动 ${moving.length} 个条目到 "${groupName}"`;
+
+    await withHistory(currentWorldName, label, () => {
+        if (groupId) {
+            placeEntriesInGroup(currentWorldName, groupId, moving, beforeUid);
+            return;
+        }
+        for (const entryUid of moving) {
+            removeEntryFromGroup(currentWorldName, entryUid);
+        }
+    });
+
+    if (uids.length > 1) selectedUids.clear();
+    await refreshGroupedView();
+}
 
 /**
- * 初始化拖拽功能 - 已禁用
- * 条目拖拽功能已禁用，因为它与长按粘贴操作冲突
- * 用户可以通过长按菜单来操作条目分组
+ * 根据指针位置计算分组放置位置
+ * 头部上沿/下沿放到目标前/后（同级），中间放入目标内部（成为子分组）
+ * @param {HTMLElement} header 目标分组头部
+ * @param {number} clientY 指针纵坐标
+ * @returns {'before'|'after'|'inside'}
  */
-function initDragAndDrop() {
-    // 功能已禁用 - 解决长按粘贴冲突问题
-    // 用户可以通过长按条目弹出的菜单来添加/移除分组
-    return;
+function getGroupDropPosition(header, clientY) {
+    const rect = header.getBoundingClientRect();
+    const ratio = (clientY - rect.top) / (rect.height || 1);
+    if (ratio < 0.25) return 'before';
+    if (ratio > 0.75) return 'after';
+    return 'inside';
+}
+
+/**
+ * 清除拖拽放置提示
+ */
+function clearGroupDropHints() {
+    $('.wi-drag-over, .wi-drop-before, .wi-drop-after').removeClass('wi-drag-over wi-drop-before wi-drop-after');
 }
 
 /**
  * 初始化分组拖拽排序
+ * 支持同级排序、拖入其他分组成为子分组、拖到"未分组"标题移回顶层
  */
 function initGroupDragSort() {
     const entriesList = $('#world_popup_entries_list');
     if (!entriesList.length) return;
 
-    entriesList.off('dragstart.wigroupsort dragend.wigroupsort dragover.wigroupsort drop.wigroupsort');
+    entriesList.off('dragstart.wigroupsort dragend.wigroupsort dragover.wigroupsort dragleave.wigroupsort drop.wigroupsort');
 
     // 分组拖拽开始（通过拖拽把手）
     entriesList.on('dragstart.wigroupsort', '.wi-group-drag-handle', function (e) {
+        e.stopPropagation();
         const container = $(this).closest('.wi-group-container');
         draggedGroup = container[0];
         container.addClass('wi-dragging');
@@ -784,51 +3806,71 @@ function initGroupDragSort() {
     entriesList.on('dragend.wigroupsort', '.wi-group-drag-handle', function () {
         const container = $(this).closest('.wi-group-container');
         container.removeClass('wi-dragging');
-        $('.wi-drag-over').removeClass('wi-drag-over');
+        clearGroupDropHints();
         draggedGroup = null;
     });
 
-    // 分组之间的拖拽排序
+    // 分组之间的拖拽排序/嵌套
     entriesList.on('dragover.wigroupsort', '.wi-group-header', function (e) {
         if (!draggedGroup) return;
 
-        e.preventDefault();
         const container = $(this).closest('.wi-group-container');
 
-        if (container[0] !== draggedGroup) {
-            container.addClass('wi-drag-over');
-        }
+        // 不能拖到自身或自己的子分组中
+        if (container[0] === draggedGroup || $.contains(draggedGroup, container[0])) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const position = getGroupDropPosition(this, e.originalEvent.clientY);
+        container.removeClass('wi-drag-over wi-drop-before wi-drop-after');
+        container.addClass(position === 'inside' ? 'wi-drag-over' : `wi-drop-${position}`);
     });
 
     entriesList.on('dragleave.wigroupsort', '.wi-group-header', function (e) {
-        if (!$(e.relatedTarget).closest('.wi-group-header').length) {
-            $(this).closest('.wi-group-container').removeClass('wi-drag-over');
+        if (!$(e.relatedTarget).closest('.wi-group-header').is(this)) {
+            $(this).closest('.wi-group-container').removeClass('wi-drag-over wi-drop-before wi-drop-after');
         }
     });
 
     entriesList.on('drop.wigroupsort', '.wi-group-header', async function (e) {
+        if (!draggedGroup || !currentWorldName) return;
+
         e.preventDefault();
+        e.stopPropagation();
 
         const targetContainer = $(this).closest('.wi-group-container');
-        targetContainer.removeClass('wi-drag-over');
-
-        if (!draggedGroup || !currentWorldName) return;
+        const position = getGroupDropPosition(this, e.originalEvent.clientY);
+        clearGroupDropHints();
 
         const draggedGroupId = $(draggedGroup).data('group-id');
         const targetGroupId = targetContainer.data('group-id');
 
-        if (draggedGroupId && targetGroupId && draggedGroupId !== targetGroupId) {
-            // 更新分组顺序
-            const order = getGroupOrder(currentWorldName);
-            const fromIndex = order.indexOf(draggedGroupId);
-            const toIndex = order.indexOf(targetGroupId);
+        if (draggedGroupId && targetGroupId && await withHistory(currentWorldName, '移动分组', () => moveGroup(currentWorldName, draggedGroupId, targetGroupId, position))) {
+            await refreshGroupedView();
+        }
+    });
+
+    // 拖到"未分组"标题：移回顶层末尾
+    entriesList.on('dragover.wigroupsort', '.wi-ungrouped-header', function (e) {
+        if (!draggedGroup) return;
+        e.preventDefault();
+        $(this).addClass('wi-drag-over');
+    });
+
+    entriesList.on('dragleave.wigroupsort', '.wi-ungrouped-header', function () {
+        $(this).removeClass('wi-drag-over');
+    });
 
-            if (fromIndex !== -1 && toIndex !== -1) {
-                order.splice(fromIndex, 1);
-                order.splice(toIndex, 0, draggedGroupId);
-                setGroupOrder(currentWorldName, order);
-                await refreshGroupedView();
-            }
+    entriesList.on('drop.wigroupsort', '.wi-ungrouped-header', async function (e) {
+        if (!draggedGroup || !currentWorldName) return;
+
+        e.preventDefault();
+        clearGroupDropHints();
+
+        const draggedGroupId = $(draggedGroup).data('group-id');
+        if (draggedGroupId && await withHistory(currentWorldName, '移动分组', () => moveGroup(currentWorldName, draggedGroupId, null, 'inside'))) {
+            await refreshGroupedView();
         }
     });
 }
@@ -861,7 +3903,7 @@ function initLongPressMenu() {
         // 忽略右键和其他按钮
         if (e.button !== 0) return;
         // 忽略在输入框等元素上的点击
-        if ($(e.target).is('input, textarea, select, button, a, .menu_button, .wi-group-drag-handle')) return;
+        if ($(e.target).is('input, textarea, select, button, a, .menu_button, .wi-group-drag-handle, .wi-entry-drag-handle')) return;
 
         const entry = this;
         const entryUid = $(entry).attr('uid');
@@ -881,7 +3923,7 @@ function initLongPressMenu() {
 
     // 触摸长按（移动端）
     entriesList.on('touchstart.wilongpress', '.world_entry', function (e) {
-        if ($(e.target).is('input, textarea, select, button, a, .menu_button, .wi-group-drag-handle')) return;
+        if ($(e.target).is('input, textarea, select, button, a, .menu_button, .wi-group-drag-handle, .wi-entry-drag-handle')) return;
 
         const touch = e.originalEvent.touches[0];
         const entry = this;
@@ -934,15 +3976,19 @@ function showContextMenu(x, y, entryUid) {
     if (groupIds.length > 0) {
         menuItems += '<div class="wi-context-menu-header">添加到分组</div>';
 
-        for (const groupId of groupIds) {
+        // 按树形顺序列出，子分组缩进显示
+        for (const { id: groupId, depth } of getGroupTreeList(currentWorldName)) {
             const group = groups[groupId];
             if (!group) continue;
 
+            // 智能分组的成员由规则决定
+            if (isSmartGroup(group) && groupId !== currentGroupId) continue;
+
             const isInGroup = groupId === currentGroupId;
             const icon = isInGroup ? 'fa-check' : 'fa-folder';
 
             menuItems += `
-                <div class="wi-context-menu-item" data-action="add" data-group-id="${groupId}" data-uid="${entryUid}">
+                <div class="wi-context-menu-item" data-action="add" data-group-id="${groupId}" data-uid="${entryUid}" style="padding-left: ${10 + depth * 14}px;">
                     <i class="fa-solid ${icon}"></i>
                     <span>${escapeHtml(group.name)}</span>
                 </div>
@@ -991,18 +4037,20 @@ function showContextMenu(x, y, entryUid) {
         hideContextMenu();
 
         if (action === 'add' && groupId) {
-            addEntryToGroup(currentWorldName, groupId, uid);
+            await withHistory(currentWorldName, '移入分组', () => addEntryToGroup(currentWorldName, groupId, uid));
             await refreshGroupedView();
         } else if (action === 'remove') {
-            removeEntryFromGroup(currentWorldName, uid);
+            await withHistory(currentWorldName, '移出分组', () => removeEntryFromGroup(currentWorldName, uid));
             await refreshGroupedView();
         } else if (action === 'create') {
             const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
             const result = await callGenericPopup('输入分组名称:', POPUP_TYPE.INPUT, '');
 
             if (result && typeof result === 'string' && result.trim()) {
-                const newGroupId = createGroup(currentWorldName, result.trim());
-                addEntryToGroup(currentWorldName, newGroupId, uid);
+                await withHistory(currentWorldName, `新建分组 "${result.trim()}"`, () => {
+                    const newGroupId = createGroup(currentWorldName, result.trim());
+                    addEntryToGroup(currentWorldName, newGroupId, uid);
+                });
                 await refreshGroupedView();
             }
         }
@@ -1013,6 +4061,301 @@ function hideContextMenu() {
     $('.wi-context-menu').remove();
 }
 
+// ==================== 筛选 ====================
+
+// 当前的筛选文本
+let groupFilterText = '';
+
+let groupFilterTimer = null;
+const GROUP_FILTER_DELAY = 200; // 毫秒
+
+/**
+ * 设置筛选文本（防抖）
+ * 清除筛选时重建视图，恢复保存的折叠状态
+ * @param {string} text 筛选文本
+ */
+function setGroupFilter(text) {
+    const wasFiltering = !!groupFilterText;
+    groupFilterText = String(text ?? '').trim();
+
+    clearTimeout(groupFilterTimer);
+    groupFilterTimer = setTimeout(() => {
+        if (groupFilterText) {
+            applyGroupFilter();
+        } else if (wasFiltering) {
+            refreshGroupedView();
+        }
+    }, groupFilterText ? GROUP_FILTER_DELAY : 0);
+}
+
+/**
+ * 检查条目是否匹配筛选文本（注释、关键词、内容，不区分大小写）
+ * @param {object} entry 世界书条目
+ * @param {string} query 小写的筛选文本
+ */
+function entryMatchesFilter(entry, query) {
+    if (!entry) return false;
+    const fields = [entry.comment, ...(entry.key ?? []), ...(entry.keysecondary ?? []), entry.content];
+    return fields.some(field => String(field ?? '').toLowerCase().includes(query));
+}
+
+/**
+ * 按筛选文本显示/隐藏条目和分组
+ * 匹配数按世界书数据计算（包括不在当前页的条目），DOM 只用于显示/隐藏已渲染的元素
+ * 有匹配的分组临时展开并显示匹配数，没有匹配的分组隐藏
+ */
+function applyGroupFilter() {
+    const entriesList = $('#world_popup_entries_list');
+    if (!entriesList.length) return;
+
+    const query = groupFilterText.toLowerCase();
+
+    if (!query) {
+        entriesList.find('.wi-filter-hidden').removeClass('wi-filter-hidden');
+        entriesList.find('.wi-group-match-count').remove();
+        return;
+    }
+
+    const matches = uid => entryMatchesFilter(currentWorldData?.entries?.[uid], query);
+
+    entriesList.find('.world_entry').each(function () {
+        $(this).toggleClass('wi-filter-hidden', !matches($(this).attr('uid')));
+    });
+
+    entriesList.find('.wi-group-container').each(function () {
+        const container = $(this);
+        const matchCount = getGroupTreeEntries(currentWorldName, container.data('group-id')).filter(matches).length;
+        container.toggleClass('wi-filter-hidden', matchCount === 0);
+        if (matchCount === 0) return;
+
+        // 临时展开，不修改保存的折叠状态
+        container.children('.wi-group-header, .wi-group-content').removeClass('collapsed');
+        container.children('.wi-group-preview').hide();
+
+        const header = container.children('.wi-group-header');
+        let badge = header.children('.wi-group-match-count');
+        if (!badge.length) {
+            badge = $('<span class="wi-group-match-count"></span>');
+            header.children('.wi-group-count').after(badge);
+        }
+        badge.text(`${matchCount} 匹配`);
+    });
+
+    const hasUngroupedMatches = getUngroupedEntries(currentWorldName, currentWorldData).some(matches);
+    entriesList.children('.wi-ungrouped-header').toggleClass('wi-filter-hidden', !hasUngroupedMatches);
+}
+
+// ==================== 多选模式 ====================
+
+let selectionMode = false;
+
+// 已选中的条目UID（字符串）
+const selectedUids = new Set();
+
+// 上次点击的条目UID，用于 Shift 连选
+let lastSelectedUid = null;
+
+/**
+ * 进入/退出多选模式，退出时清空选择
+ * @param {boolean} enabled 是否进入多选模式
+ */
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) {
+        selectedUids.clear();
+        lastSelectedUid = null;
+    }
+    updateSelectionUi();
+}
+
+/**
+ * 同步条目复选框、选中样式和工具栏选择栏
+ */
+function updateSelectionUi() {
+    const entriesList = $('#world_popup_entries_list');
+    $('#wi-groups-select').toggleClass('is-active', selectionMode);
+    $('#wi-groups-selection-bar').toggle(selectionMode);
+
+    if (!selectionMode) {
+        entriesList.find('.wi-entry-select').remove();
+        entriesList.find('.world_entry').removeClass('wi-entry-selected');
+        return;
+    }
+
+    // 丢弃已不存在的条目
+    for (const uid of selectedUids) {
+        if (!currentWorldData?.entries?.[uid]) selectedUids.delete(uid);
+    }
+
+    entriesList.find('.world_entry').each(function () {
+        const $entry = $(this);
+        const uid = String($entry.attr('uid'));
+        let checkbox = $entry.find('.wi-entry-select').first();
+        if (!checkbox.length) {
+            checkbox = $('<input type="checkbox" class="wi-entry-select" title="选择条目（Shift 连选）">');
+            const header = $entry.find('.inline-drawer-header').first();
+            (header.length ? header : $entry).prepend(checkbox);
+        }
+
+        const selected = selectedUids.has(uid);
+        checkbox.prop('checked', selected);
+        $entry.toggleClass('wi-entry-selected', selected);
+    });
+
+    $('#wi-groups-selection-bar .wi-selection-count').text(`已选 ${selectedUids.size} 项`);
+    $('#wi-groups-selection-bar').find('#wi-selection-move, #wi-selection-new, #wi-selection-remove')
+        .toggleClass('disabled', selectedUids.size === 0);
+}
+
+/**
+ * 获取当前可见的条目UID（折叠分组中的条目不算）
+ */
+function getVisibleEntryUids() {
+    return $('#world_popup_entries_list .world_entry:visible')
+        .map(function () {
+            return String($(this).attr('uid'));
+        })
+        .get();
+}
+
+/**
+ * 按列表中的显示顺序返回已选中的条目UID，未渲染（如在其他分页）的选中条目排在最后
+ */
+function getSelectionInDomOrder() {
+    const rendered = $('#world_popup_entries_list .world_entry')
+        .map(function () {
+            return String($(this).attr('uid'));
+        })
+        .get()
+        .filter(uid => selectedUids.has(uid));
+    const renderedSet = new Set(rendered);
+    return [...rendered, ...[...selectedUids].filter(uid => !renderedSet.has(uid))];
+}
+
+/**
+ * 选择所有可见条目
+ */
+function selectVisibleEntries() {
+    for (const uid of getVisibleEntryUids()) {
+        selectedUids.add(uid);
+    }
+    updateSelectionUi();
+}
+
+/**
+ * 初始化条目复选框的点击处理（Shift 点击选择连续范围）
+ */
+function initEntrySelection() {
+    const entriesList = $('#world_popup_entries_list');
+    if (!entriesList.length) return;
+
+    entriesList.off('click.wiselect').on('click.wiselect', '.wi-entry-select', function (e) {
+        // 阻止冒泡，避免展开/折叠条目
+        e.stopPropagation();
+
+        const uid = String($(this).closest('.world_entry').attr('uid'));
+        const checked = this.checked;
+        const visibleUids = getVisibleEntryUids();
+        const from = visibleUids.indexOf(lastSelectedUid);
+        const to = visibleUids.indexOf(uid);
+
+        const range = e.shiftKey && from !== -1 && to !== -1
+            ? visibleUids.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [uid];
+        for (const rangeUid of range) {
+            if (checked) selectedUids.add(rangeUid);
+            else selectedUids.delete(rangeUid);
+        }
+
+        lastSelectedUid = uid;
+        updateSelectionUi();
+    });
+}
+
+/**
+ * 对所选条目执行分组操作后刷新视图并清空选择
+ * @param {string} label 操作描述
+ * @param {Function} action 对每个条目UID执行的操作，返回是否有变化
+ */
+async function applyToSelection(label, action) {
+    const uids = [...selectedUids];
+    let changed = 0;
+    await withHistory(currentWorldName, label, () => {
+        for (const uid of uids) {
+            if (action(uid)) changed++;
+        }
+    });
+
+    selectedUids.clear();
+    await refreshGroupedView();
+    return changed;
+}
+
+/**
+ * 将所选条目移到指定分组
+ */
+async function moveSelectionToGroup() {
+    if (!currentWorldName || selectedUids.size === 0) return;
+
+    const groups = getWorldGroups(currentWorldName);
+    const targets = getGroupTreeList(currentWorldName).filter(({ id }) => !isSmartGroup(groups[id]));
+    if (targets.length === 0) {
+        toastr.info('没有可移入的分组（智能分组的成员由规则决定）');
+        return;
+    }
+
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = getContext();
+    const optionsHtml = targets
+        .map(({ id, depth }) => `<option value="${id}">${'\u00a0\u00a0'.repeat(depth)}${escapeHtml(groups[id].name)}</option>`)
+        .join('');
+    const popupContent = $(`
+        <div class="wi-selection-move-popup">
+            <label>将 ${selectedUids.size} 个条目移到</label>
+            <select class="text_pole">${optionsHtml}</select>
+        </div>
+    `);
+
+    const result = await callGenericPopup(popupContent, POPUP_TYPE.CONFIRM, '', {
+        okButton: '移动',
+        cancelButton: '取消'
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const groupId = popupContent.find('select').val();
+    const count = selectedUids.size;
+    await applyToSelection(`移动 ${count} 个条目到 "${groups[groupId].name}"`, uid => addEntryToGroup(currentWorldName, groupId, uid));
+    toastr.success(`已将 ${count} 个条目移到 "${groups[groupId].name}"`);
+}
+
+/**
+ * 用所选条目新建分组
+ */
+async function createGroupFromSelection() {
+    if (!currentWorldName || selectedUids.size === 0) return;
+
+    const { callGenericPopup, POPUP_TYPE } = getContext();
+    const result = await callGenericPopup(`用所选的 ${selectedUids.size} 个条目新建分组，输入分组名称:`, POPUP_TYPE.INPUT, '');
+    if (!result || typeof result !== 'string' || !result.trim()) return;
+
+    const name = result.trim();
+    let groupId = null;
+    await applyToSelection(`新建分组 "${name}"`, uid => {
+        groupId ??= createGroup(currentWorldName, name);
+        return addEntryToGroup(currentWorldName, groupId, uid);
+    });
+    toastr.success(`已创建分组 "${name}"`);
+}
+
+/**
+ * 将所选条目移出分组
+ */
+async function removeSelectionFromGroups() {
+    if (!currentWorldName || selectedUids.size === 0) return;
+
+    const count = await applyToSelection(`移出 ${selectedUids.size} 个条目`, uid => removeEntryFromGroup(currentWorldName, uid));
+    toastr.success(`已将 ${count} 个条目移出分组`);
+}
+
 // ==================== 移动端全局世界书选择器 ====================
 
 let globalWorldSelectorInjected = false;
@@ -1308,6 +4651,217 @@ function syncToNativeSelect() {
     console.log('[ST-Grouping] Synced global world selection:', selectedValues);
 }
 
+// ==================== 斜杠命令 ====================
+
+/**
+ * 加载命令操作的世界书（当前编辑的世界书直接使用已加载的数据）
+ * @param {string} worldName 世界书名称
+ * @returns {Promise<object|null>} 世界书数据
+ */
+async function loadWorldForCommand(worldName) {
+    if (worldName === currentWorldName && currentWorldData) return currentWorldData;
+
+    const { loadWorldInfo } = getContext();
+    const worldData = await loadWorldInfo(worldName);
+    if (worldData) await reconcileWorldRecord(worldName, worldData);
+    return worldData;
+}
+
+/**
+ * 按ID、路径（"父分组/子分组"）或名称查找分组
+ * @param {string} worldName 世界书名称
+ * @param {string} query 查询
+ * @returns {string|null} 分组ID
+ */
+function findGroupId(worldName, query) {
+    const groups = getWorldGroups(worldName);
+    if (groups[query]) return query;
+
+    const normalize = text => String(text).split('/').map(part => part.trim()).join('/');
+    const treeIds = getGroupTreeList(worldName).map(({ id }) => id);
+
+    return treeIds.find(id => normalize(getGroupPath(worldName, id)) === normalize(query))
+        ?? treeIds.find(id => groups[id].name === query)
+        ?? null;
+}
+
+/**
+ * 解析命令的世界书和分组参数，失败时提示并返回 null
+ * @param {object} args 命名参数
+ * @param {boolean} requireGroup 是否必须指定分组
+ * @returns {Promise<{worldName: string, worldData: object, groupId: string|null}|null>}
+ */
+async function resolveCommandTarget(args, requireGroup = true) {
+    const worldName = String(args.book ?? currentWorldName ?? '').trim();
+    if (!worldName) {
+        toastr.warning('请用 book= 指定世界书');
+        return null;
+    }
+
+    const worldData = await loadWorldForCommand(worldName);
+    if (!worldData) {
+        toastr.warning(`找不到世界书 "${worldName}"`);
+        return null;
+    }
+
+    if (!requireGroup) return { worldName, worldData, groupId: null };
+
+    const groupId = args.group ? findGroupId(worldName, String(args.group)) : null;
+    if (!groupId) {
+        toastr.warning(`世界书 "${worldName}" 中找不到分组 "${args.group ?? ''}"`);
+        return null;
+    }
+
+    return { worldName, worldData, groupId };
+}
+
+/**
+ * 解析 on/off/toggle 参数
+ * @param {string} value 参数值
+ * @param {boolean} currentlyOn 当前是否全部启用
+ * @returns {boolean|null} 目标状态，无法解析时为 null
+ */
+function parseSwitchArgument(value, currentlyOn) {
+    const normalized = String(value ?? 'toggle').trim().toLowerCase();
+    if (['on', 'true', '1', 'enable'].includes(normalized)) return true;
+    if (['off', 'false', '0', 'disable'].includes(normalized)) return false;
+    if (normalized === 'toggle' || normalized === '') return !currentlyOn;
+    return null;
+}
+
+/**
+ * 命令修改了当前编辑的世界书时刷新界面
+ * @param {string} worldName 世界书名称
+ */
+async function refreshAfterCommand(worldName) {
+    if (worldName !== currentWorldName) return;
+    await refreshGroupedView();
+    updateAllGroupToggleButtons();
+}
+
+/**
+ * 注册世界书分组的斜杠命令
+ */
+function registerSlashCommands() {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = getContext();
+    if (!SlashCommandParser || !SlashCommand) {
+        console.warn('[ST-Grouping] SlashCommandParser not available, skipping slash commands');
+        return;
+    }
+
+    const bookArgument = SlashCommandNamedArgument.fromProps({
+        name: 'book',
+        description: '世界书名称，默认为当前编辑的世界书',
+        typeList: [ARGUMENT_TYPE.STRING],
+    });
+    const groupArgument = SlashCommandNamedArgument.fromProps({
+        name: 'group',
+        description: '分组名称、路径（父分组/子分组）或ID',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true,
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wigroup-toggle',
+        callback: async (args, value) => {
+            const target = await resolveCommandTarget(args);
+            if (!target) return '';
+
+            const uids = getGroupTreeEntries(target.worldName, target.groupId);
+            const currentlyOn = uids.some(uid => target.worldData.entries?.[uid] && !target.worldData.entries[uid].disable);
+            const enabled = parseSwitchArgument(value, currentlyOn);
+            if (enabled === null) {
+                toastr.warning(`无效的开关参数 "${value}"，请使用 on、off 或 toggle`);
+                return '';
+            }
+
+            const label = `${enabled ? '启用' : '禁用'}分组 "${getWorldGroups(target.worldName)[target.groupId].name}"`;
+            const changed = await withHistory(target.worldName, label, (transaction) => toggleWorldGroupEntries(target.worldName, target.groupId, enabled, target.worldData, transaction));
+            await refreshAfterCommand(target.worldName);
+            return String(changed);
+        },
+        namedArgumentList: [bookArgument, groupArgument],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'on、off 或 toggle（默认）',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off', 'toggle'],
+            }),
+        ],
+        returns: '实际切换的条目数量',
+        helpString: '启用/禁用世界书分组（含子分组）内的所有条目。例如 <code>/wigroup-toggle book=设定集 group=季节 off</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wigroup-list',
+        callback: async (args) => {
+            const target = await resolveCommandTarget(args, false);
+            if (!target) return '[]';
+
+            const groups = getWorldGroups(target.worldName);
+            const list = getGroupTreeList(target.worldName).map(({ id }) => {
+                const uids = getGroupTreeEntries(target.worldName, id);
+                const enabled = uids.filter(uid => target.worldData.entries?.[uid] && !target.worldData.entries[uid].disable);
+                return {
+                    id,
+                    name: groups[id].name,
+                    path: getGroupPath(target.worldName, id),
+                    mode: groups[id].mode ?? INCLUSIVE_MODE,
+                    smart: isSmartGroup(groups[id]),
+                    bindings: normalizeBindings(groups[id].bindings),
+                    entries: uids.length,
+                    enabled: enabled.length,
+                };
+            });
+            return JSON.stringify(list);
+        },
+        namedArgumentList: [bookArgument],
+        returns: '分组列表（JSON）',
+        helpString: '列出世界书中的所有分组及其条目数、启用数。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wigroup-add',
+        callback: async (args) => {
+            const target = await resolveCommandTarget(args);
+            if (!target) return '';
+
+            if (isSmartGroup(getWorldGroups(target.worldName)[target.groupId])) {
+                toastr.warning('智能分组的成员由规则决定，不能手动添加条目');
+                return '';
+            }
+
+            const uids = String(args.uid ?? '').split(',').map(uid => uid.trim()).filter(Boolean);
+            const missing = uids.filter(uid => !target.worldData.entries?.[uid]);
+            if (uids.length === 0 || missing.length > 0) {
+                toastr.warning(uids.length === 0 ? '请用 uid= 指定条目' : `找不到条目 ${missing.join(', ')}`);
+                return '';
+            }
+
+            let added = 0;
+            await withHistory(target.worldName, '移入分组', () => {
+                for (const uid of uids) {
+                    if (addEntryToGroup(target.worldName, target.groupId, uid)) added++;
+                }
+            });
+            await refreshAfterCommand(target.worldName);
+            return String(added);
+        },
+        namedArgumentList: [
+            bookArgument,
+            groupArgument,
+            SlashCommandNamedArgument.fromProps({
+                name: 'uid',
+                description: '条目UID，多个用逗号分隔',
+                typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        returns: '新加入分组的条目数量',
+        helpString: '将条目移入分组（条目会先从原分组移出）。例如 <code>/wigroup-add group=角色 uid=3,5</code>',
+    }));
+}
+
 // ==================== 事件监听 ====================
 
 /**
@@ -1318,13 +4872,43 @@ export function initWorldInfoGrouping() {
 
     console.log('[ST-Grouping] Initializing WorldInfo Groups...');
 
+    registerSlashCommands();
+
+    // 世界书编辑器中的撤销/重做快捷键
+    bindUndoShortcuts('wigroupundo', '#world_popup', {
+        undo: () => undoWorldHistory(),
+        redo: () => redoWorldHistory(),
+    });
+
+    // 切换聊天/角色时按绑定规则自动开关分组
+    eventSource.on(event_types.CHAT_CHANGED, () => scheduleChatBindings());
+
     // 监听世界书更新事件
-    eventSource.on(event_types.WORLDINFO_UPDATED, async (data) => {
+    eventSource.on(event_types.WORLDINFO_UPDATED, async (name, data) => {
         console.log('[ST-Grouping] World info updated');
+
+        // 记录编辑器的数据对象，补上它错过的批量修改
+        if (name && data && name === currentWorldName && !ownSavedData.has(data)) {
+            await adoptEditorWorldData(name, data);
+        }
+
+        // 编辑器中启用了单选分组的条目，禁用同组的其他条目
+        if (name && data && name === currentWorldName && !ownSavedData.has(data)) {
+            await enforceExclusiveGroups(name, data, currentWorldData);
+        }
+
+        // 编辑器保存的数据副本可能缺少最新的分组信息，需要写回
+        if (name && data) {
+            if (worldRecords.has(name)) {
+                await reconcileWorldRecord(name, data);
+            } else {
+                await adoptRenamedWorld(name, data);
+            }
+        }
+
         if (currentWorldName && currentWorldData) {
             // 重新加载世界书数据
-            const { loadWorldInfo } = getContext();
-            currentWorldData = await loadWorldInfo(currentWorldName);
+            await loadCurrentWorld(currentWorldName);
             await refreshGroupedView();
         }
     });
@@ -1364,11 +4948,16 @@ export function initWorldInfoGrouping() {
         const selectedText = $(this).find('option:selected').text();
 
         if (selectedIndex && selectedText) {
-            currentWorldName = selectedText;
+            // 编辑器会以新的数据对象重新渲染
+            editorWorldData = null;
+            pendingEntryPatches = {};
+            selectionMode = false;
+            selectedUids.clear();
+            groupFilterText = '';
+            tokenCountCache.clear();
 
-            // 尝试获取世界书数据
-            const { loadWorldInfo } = getContext();
-            currentWorldData = await loadWorldInfo(currentWorldName);
+            // 尝试获取世界书数据（同时迁移旧版分组数据）
+            await loadCurrentWorld(selectedText);
 
             console.log(`[ST-Grouping] World selected: ${currentWorldName}`, currentWorldData);
 
@@ -1455,10 +5044,7 @@ async function onWorldEditorOpen() {
     const selectedText = $('#world_editor_select option:selected').text();
 
     if (selectedText) {
-        currentWorldName = selectedText;
-
-        const { loadWorldInfo } = getContext();
-        currentWorldData = await loadWorldInfo(currentWorldName);
+        await loadCurrentWorld(selectedText);
 
         // 注入工具栏
         injectGroupsToolbar();
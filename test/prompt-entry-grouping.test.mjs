@@ -0,0 +1,64 @@
+// ST-Grouping - 提示词分组核心逻辑回归测试
+// 运行: node --test test/
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const PRESET_NAME = 'test-preset';
+const presets = new Map();
+
+globalThis.window = globalThis;
+globalThis.SillyTavern = {
+    getContext: () => ({
+        mainApi: 'openai',
+        getPresetManager: () => ({
+            getPresetList: () => ({ preset_names: [...presets.keys()], settings: {} }),
+            getSelectedPresetName: () => PRESET_NAME,
+            getCompletionPresetByName: (name) => presets.get(name),
+            savePreset: async (name, preset) => { presets.set(name, preset); },
+        }),
+    }),
+};
+
+const {
+    getAllPresetGroupings,
+    backfillGroupingMembers,
+    updatePresetGrouping,
+} = await import('../lib/prompt-entry-grouping.js');
+
+const orderedIdentifiers = ['main', 'persona', 'scenario', 'jailbreak'];
+
+beforeEach(() => {
+    presets.clear();
+    presets.set(PRESET_NAME, {
+        extensions: {
+            entryGrouping: [
+                { id: 'resolved', name: '可解析', startIndex: 0, endIndex: 1 },
+                { id: 'broken', name: '超出范围', startIndex: 10, endIndex: 12 },
+            ],
+        },
+    });
+});
+
+test('无法解析的旧版分组在补充成员和更新分组后仍被保留', async () => {
+    await backfillGroupingMembers(PRESET_NAME, orderedIdentifiers);
+    assert.equal(await updatePresetGrouping(PRESET_NAME, 0, 'main', 'scenario', '改名', orderedIdentifiers), true);
+
+    const stored = presets.get(PRESET_NAME).extensions.entryGrouping;
+    assert.equal(stored.length, 2);
+    assert.deepEqual(stored[1], {
+        id: 'broken',
+        name: '超出范围',
+        mode: 'inclusive',
+        unresolved: true,
+        legacyStartIndex: 10,
+        legacyEndIndex: 12,
+    });
+
+    const groupings = getAllPresetGroupings(PRESET_NAME, orderedIdentifiers);
+    assert.equal(groupings[0].startIdentifier, 'main');
+    assert.equal(groupings[0].endIdentifier, 'scenario');
+    assert.equal(groupings[1].unresolved, true);
+    assert.equal(groupings[1].legacyStartIndex, 10);
+    assert.equal(groupings[1].legacyEndIndex, 12);
+});